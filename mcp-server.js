@@ -6,6 +6,33 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
+// Wait conditions shared by navigate, refresh and newTab
+const waitConditionSchema = {
+  waitUntil: z.enum(["load", "domcontentloaded", "networkidle0", "networkidle2"]).optional().describe("Load state to wait for (default: domcontentloaded for navigation, networkidle0 for refresh)"),
+  loadTimeout: z.number().optional().describe("Timeout for the load state in milliseconds (default: 30000, refresh: 15000)"),
+  waitForSelector: z.string().optional().describe("Selector to wait for, in any syntax viewElement accepts"),
+  visible: z.boolean().optional().describe("Also wait until the waitForSelector element is visible"),
+  selectorTimeout: z.number().optional().describe("Timeout for waitForSelector in milliseconds (default: 30000)"),
+  waitForFunction: z.string().optional().describe("JavaScript expression to wait for until it returns a truthy value"),
+  functionTimeout: z.number().optional().describe("Timeout for waitForFunction in milliseconds (default: 30000)"),
+  waitForUrl: z.string().optional().describe("URL to wait for: substring, glob with * or /regex/"),
+  urlTimeout: z.number().optional().describe("Timeout for waitForUrl in milliseconds (default: 30000)")
+};
+
+// What input tools can wait for after acting
+const inputWaitSchema = {
+  waitForNavigation: z.boolean().optional().describe("Wait for the navigation the input triggers (load state from waitUntil)"),
+  waitForNetworkIdle: z.boolean().optional().describe("Wait until the network is idle after the input"),
+  waitTime: z.number().optional().describe("Fixed wait after the input in milliseconds (default: 0)"),
+  ...waitConditionSchema
+};
+
+// Selector syntax accepted by viewElement, analyzeSelectors and $find/$findAll in executeJavaScript
+const selectorEngineHelp = "CSS, xpath=<expr> (or //...), text=<text>, role=<role>[name=\"...\"] or aria-label=<label>; text and names match case-insensitively unless quoted. >>> pierces open shadow roots, e.g. 'my-app >>> role=button[name=Save]'";
+
+// Frame selection for the inspection and input tools
+const frameSchema = z.union([z.number(), z.string()]).optional().describe("Frame to run in: index from listFrames, the name or id of its iframe, or a URL pattern (substring, glob with * or /regex/). Default: the main frame");
+
 // WebSourceBrowser is imported dynamically in the constructor to avoid circular dependencies
 
 /**
@@ -38,6 +65,8 @@ class WebSourceBrowserMcpServer {
       const { WebSourceBrowser } = await import('./websource-browser-module.js');
       this.webSourceBrowser = new WebSourceBrowser();
       await this.webSourceBrowser.initialize();
+      // Same config file defaults as the CLI
+      this.defaults = this.webSourceBrowser.configManager.getDefaults();
     }
   }
 
@@ -47,17 +76,44 @@ class WebSourceBrowserMcpServer {
       title: "Start Browser Session",
       description: "Start a new persistent browser session",
       inputSchema: {
-        sessionName: z.string().optional().describe("Name of the session (default: 'default')"),
-        headless: z.boolean().optional().describe("Run in headless mode (default: true)")
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        headless: z.boolean().optional().describe("Run in headless mode (default: true)"),
+        viewport: z.object({
+          width: z.number(),
+          height: z.number()
+        }).optional().describe("Viewport size in CSS pixels"),
+        deviceScaleFactor: z.number().optional().describe("Device scale factor (devicePixelRatio)"),
+        device: z.string().optional().describe("Puppeteer device preset to emulate, e.g. 'iPhone 13' or 'Pixel 5'"),
+        userAgent: z.string().optional().describe("User agent override"),
+        locale: z.string().optional().describe("Browser locale, e.g. 'fr-FR'"),
+        timezone: z.string().optional().describe("IANA timezone, e.g. 'Europe/Paris'"),
+        colorScheme: z.enum(["light", "dark", "no-preference"]).optional().describe("Emulated prefers-color-scheme"),
+        profile: z.string().optional().describe("Named browser profile to keep cookies, logins and storage between sessions (created on first use)"),
+        idleTimeout: z.union([z.number(), z.string()]).optional().describe("Idle shutdown in minutes, a duration such as '90s' or '2h', or 'never' (default: 15 minutes)"),
+        proxy: z.string().optional().describe("Proxy server, e.g. 'http://127.0.0.1:8080' or 'socks5://host:1080'"),
+        preset: z.string().optional().describe("Launch preset from the config file; explicit arguments override it")
       }
     }, async (args) => {
       try {
         await this.initializeWebSourceBrowser();
-        const sessionName = args.sessionName || 'default';
-        const headless = args.headless !== undefined ? args.headless : true;
+        const sessionName = args.sessionName || this.defaults.sessionName;
+        const { headless, viewport, deviceScaleFactor, device, userAgent, locale, timezone, colorScheme, profile, idleTimeout, proxy, preset } = args;
         
-        const result = await this.webSourceBrowser.startSession(sessionName, { headless });
-        this.activeSessions.set(sessionName, { headless });
+        const result = await this.webSourceBrowser.startSession(sessionName, {
+          headless,
+          viewport,
+          deviceScaleFactor,
+          device,
+          userAgent,
+          locale,
+          timezone,
+          colorScheme,
+          profile,
+          idleTimeout: idleTimeout ?? null,
+          proxy,
+          preset
+        });
+        this.activeSessions.set(sessionName, { headless: headless ?? true });
         
         return {
           content: [{
@@ -76,16 +132,51 @@ class WebSourceBrowserMcpServer {
       }
     });
 
+    this.mcpServer.registerTool("attachSession", {
+      title: "Attach to Running Browser",
+      description: "Create a session for a browser that is already running with remote debugging enabled. Stopping the session detaches without closing the browser",
+      inputSchema: {
+        endpoint: z.string().describe("Browser WebSocket endpoint (ws://...), debugging port, or host:port"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        idleTimeout: z.union([z.number(), z.string()]).optional().describe("Idle shutdown in minutes, a duration such as '90s' or '2h', or 'never' (default: 15 minutes)")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const sessionName = args.sessionName || this.defaults.sessionName;
+        
+        const result = await this.webSourceBrowser.attachSession(sessionName, args.endpoint, {
+          idleTimeout: args.idleTimeout ?? null
+        });
+        this.activeSessions.set(sessionName, { attached: true });
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Session '${sessionName}' attached to ${args.endpoint}. PID: ${result.pid}, Control Port: ${result.controlPort}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error attaching session: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
     this.mcpServer.registerTool("stopSession", {
       title: "Stop Browser Session",
       description: "Stop an existing browser session",
       inputSchema: {
-        sessionName: z.string().optional().describe("Name of the session (default: 'default')")
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
       }
     }, async (args) => {
       try {
         await this.initializeWebSourceBrowser();
-        const sessionName = args.sessionName || 'default';
+        const sessionName = args.sessionName || this.defaults.sessionName;
         
         const result = await this.webSourceBrowser.stopSession(sessionName);
         this.activeSessions.delete(sessionName);
@@ -132,28 +223,210 @@ class WebSourceBrowserMcpServer {
       }
     });
 
+    this.mcpServer.registerTool("pruneSessions", {
+      title: "Prune Sessions",
+      description: "Find stale session files, orphaned daemon and browser processes and leaked ports, and clean them up",
+      inputSchema: {
+        dryRun: z.boolean().optional().describe("Only report problems without cleaning up (default: false)")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        
+        const result = await this.webSourceBrowser.checkSessions(!args.dryRun);
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error pruning sessions: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("keepAlive", {
+      title: "Keep Session Alive",
+      description: "Reset a session's idle timer without running a page command",
+      inputSchema: {
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.keepAlive(sessionName);
+        
+        return {
+          content: [{
+            type: "text",
+            text: result.timeUntilShutdown === null
+              ? `Session '${sessionName}' has no idle timeout`
+              : `Session '${sessionName}' idle timer reset, ${Math.ceil(result.timeUntilShutdown / 1000)}s until shutdown`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error keeping session alive: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("setIdleTimeout", {
+      title: "Set Idle Timeout",
+      description: "Change the idle timeout of a running session",
+      inputSchema: {
+        idleTimeout: z.union([z.number(), z.string()]).describe("Minutes, a duration such as '90s' or '2h', or 'never'"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { idleTimeout, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.setIdleTimeout(idleTimeout, sessionName);
+        
+        return {
+          content: [{
+            type: "text",
+            text: result.idleTimeoutMs === null
+              ? `Idle timeout disabled for session '${sessionName}'`
+              : `Idle timeout for session '${sessionName}' set to ${Math.round(result.idleTimeoutMs / 1000)}s`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error setting idle timeout: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    // Profile Management Tools
+    this.mcpServer.registerTool("listProfiles", {
+      title: "List Browser Profiles",
+      description: "List persistent browser profiles and the sessions using them"
+    }, async () => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const profiles = await this.webSourceBrowser.listProfiles();
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(profiles, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error listing profiles: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("cloneProfile", {
+      title: "Clone Browser Profile",
+      description: "Copy a browser profile under a new name",
+      inputSchema: {
+        source: z.string().describe("Name of the profile to copy"),
+        target: z.string().describe("Name of the new profile")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { source, target } = args;
+        
+        const result = await this.webSourceBrowser.cloneProfile(source, target);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Profile '${source}' cloned to '${target}' at ${result.path}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error cloning profile: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("deleteProfile", {
+      title: "Delete Browser Profile",
+      description: "Delete a browser profile that is not in use by a running session",
+      inputSchema: {
+        profile: z.string().describe("Name of the profile to delete")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        
+        await this.webSourceBrowser.deleteProfile(args.profile);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Profile '${args.profile}' deleted`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error deleting profile: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
     // Navigation Tools
     this.mcpServer.registerTool("navigate", {
       title: "Navigate to URL",
       description: "Navigate to a URL in a browser session",
       inputSchema: {
         url: z.string().describe("URL to navigate to"),
-        sessionName: z.string().optional().describe("Name of the session (default: 'default')"),
-        waitTime: z.number().optional().describe("Wait time after navigation in milliseconds (default: 2000)")
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        waitTime: z.number().optional().describe("Fixed wait after navigation in milliseconds (default: from the config file, else 2000; 0 when a wait condition is given)"),
+        ...waitConditionSchema
       }
     }, async (args) => {
       try {
         await this.initializeWebSourceBrowser();
-        const { url, sessionName = 'default', waitTime = 2000 } = args;
+        const { url, sessionName = this.defaults.sessionName, ...waitOptions } = args;
         
-        const result = await this.webSourceBrowser.navigate(url, sessionName, { waitTime });
+        const result = await this.webSourceBrowser.navigate(url, sessionName, waitOptions);
         
         return {
           content: [{
             type: "text",
             text: `Successfully navigated to: ${result.pageInfo.title}
 URL: ${result.pageInfo.url}
-Ready: ${result.pageInfo.ready}`
+Ready: ${result.pageInfo.ready}
+Waited for: ${result.wait.conditions.map(condition => `${condition.type} ${condition.value} (${condition.elapsedMs}ms)`).join(', ')}`
           }]
         };
       } catch (error) {
@@ -171,21 +444,23 @@ Ready: ${result.pageInfo.ready}`
       title: "Refresh Page",
       description: "Refresh/reload the current page in a browser session",
       inputSchema: {
-        sessionName: z.string().optional().describe("Name of the session (default: 'default')"),
-        waitTime: z.number().optional().describe("Wait time after refresh in milliseconds (default: 2000)")
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        waitTime: z.number().optional().describe("Fixed wait after refresh in milliseconds (default: from the config file, else 2000; 0 when a wait condition is given)"),
+        ...waitConditionSchema
       }
     }, async (args) => {
       try {
         await this.initializeWebSourceBrowser();
-        const { sessionName = 'default', waitTime = 2000 } = args;
+        const { sessionName = this.defaults.sessionName, ...waitOptions } = args;
         
-        const result = await this.webSourceBrowser.refreshPage(sessionName, { waitTime });
+        const result = await this.webSourceBrowser.refreshPage(sessionName, waitOptions);
         
         return {
           content: [{
             type: "text",
             text: `Page refreshed successfully: ${result.pageInfo.title}
-URL: ${result.pageInfo.url}`
+URL: ${result.pageInfo.url}
+Waited for: ${result.wait.conditions.map(condition => `${condition.type} ${condition.value} (${condition.elapsedMs}ms)`).join(', ')}`
           }]
         };
       } catch (error) {
@@ -199,140 +474,998 @@ URL: ${result.pageInfo.url}`
       }
     });
 
-    // Execution Tools
-    this.mcpServer.registerTool("executeJavaScript", {
-      title: "Execute JavaScript",
-      description: "Execute JavaScript code in a browser session and return results",
+    // Storage State Tools
+    this.mcpServer.registerTool("exportStorageState", {
+      title: "Export Storage State",
+      description: "Capture the session's cookies and per-origin localStorage/sessionStorage as portable JSON",
       inputSchema: {
-        code: z.string().describe("JavaScript code to execute"),
-        sessionName: z.string().optional().describe("Name of the session (default: 'default')")
+        filename: z.string().optional().describe("File to save the state to (if not provided, the state is returned)"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
       }
     }, async (args) => {
       try {
         await this.initializeWebSourceBrowser();
-        const { code, sessionName = 'default' } = args;
+        const { filename, sessionName = this.defaults.sessionName } = args;
         
-        const result = await this.webSourceBrowser.executeJavaScript(code, sessionName);
+        const result = await this.webSourceBrowser.exportStorageState(filename || null, sessionName);
         
-        if (result.success) {
-          return {
-            content: [{
-              type: "text",
-              text: JSON.stringify(result.result, null, 2)
-            }]
-          };
-        } else {
-          return {
-            content: [{
-              type: "text",
-              text: `JavaScript execution error: ${result.error}`
-            }],
-            isError: true
-          };
-        }
+        return {
+          content: [{
+            type: "text",
+            text: result.path
+              ? `Storage state saved to: ${result.path} (${result.cookies} cookies, ${result.origins.length} origins)`
+              : JSON.stringify(result.state, null, 2)
+          }]
+        };
       } catch (error) {
         return {
           content: [{
             type: "text",
-            text: `Error executing JavaScript: ${error.message}`
+            text: `Error exporting storage state: ${error.message}`
           }],
           isError: true
         };
       }
     });
 
-    // Inspection Tools
-    this.mcpServer.registerTool("viewElement", {
-      title: "View Element",
-      description: "View page or element information",
+    this.mcpServer.registerTool("importStorageState", {
+      title: "Import Storage State",
+      description: "Load cookies and web storage from a storage state file into a session",
       inputSchema: {
-        selector: z.string().optional().describe("CSS selector of element to view (if not provided, views entire page)"),
-        sessionName: z.string().optional().describe("Name of the session (default: 'default')")
+        filename: z.string().describe("Storage state file created by exportStorageState or --export-storage"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
       }
     }, async (args) => {
       try {
         await this.initializeWebSourceBrowser();
-        const { selector, sessionName = 'default' } = args;
+        const { filename, sessionName = this.defaults.sessionName } = args;
         
-        const result = await this.webSourceBrowser.viewElement(selector || null, sessionName);
+        const result = await this.webSourceBrowser.importStorageState(filename, sessionName);
         
-        if (result.success) {
-          if (result.page) {
-            return {
-              content: [{
-                type: "text",
-                text: `Page Title: ${result.page.title}
-URL: ${result.page.url}
-Text Preview: ${result.page.text.substring(0, 200)}...`
-              }]
-            };
-          } else if (result.element) {
-            return {
-              content: [{
-                type: "text",
-                text: `Element: ${result.element.tagName}
-ID: ${result.element.id}
-Classes: ${result.element.className}
-Text: ${result.element.textContent.substring(0, 100)}...
-Visible: ${result.element.isVisible}`
-              }]
-            };
-          }
-        } else {
-          return {
-            content: [{
-              type: "text",
-              text: `Error viewing element: ${result.error}`
-            }],
-            isError: true
-          };
-        }
+        return {
+          content: [{
+            type: "text",
+            text: `Storage state loaded from: ${result.path} (${result.cookies} cookies, ${result.origins.length} origins)`
+          }]
+        };
       } catch (error) {
         return {
           content: [{
             type: "text",
-            text: `Error viewing element: ${error.message}`
+            text: `Error importing storage state: ${error.message}`
           }],
           isError: true
         };
       }
     });
 
-    this.mcpServer.registerTool("analyzeSelectors", {
-      title: "Analyze Selectors",
-      description: "Analyze page selectors or selectors within an element",
+    // Tab Management Tools
+    this.mcpServer.registerTool("listTabs", {
+      title: "List Tabs",
+      description: "List the open tabs in a browser session, including popups and windows opened by the page",
       inputSchema: {
-        selector: z.string().optional().describe("CSS selector to analyze within (if not provided, analyzes entire page)"),
-        sessionName: z.string().optional().describe("Name of the session (default: 'default')")
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
       }
     }, async (args) => {
       try {
         await this.initializeWebSourceBrowser();
-        const { selector, sessionName = 'default' } = args;
+        const { sessionName = this.defaults.sessionName } = args;
         
-        const result = await this.webSourceBrowser.analyzeSelectors(selector || null, sessionName);
+        const result = await this.webSourceBrowser.listTabs(sessionName);
         
-        if (result.success) {
-          return {
-            content: [{
-              type: "text",
-              text: JSON.stringify(result.analysis, null, 2)
-            }]
-          };
-        } else {
-          return {
-            content: [{
-              type: "text",
-              text: `Error analyzing selectors: ${result.error}`
-            }],
-            isError: true
-          };
-        }
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result.tabs, null, 2)
+          }]
+        };
       } catch (error) {
         return {
           content: [{
             type: "text",
-            text: `Error analyzing selectors: ${error.message}`
+            text: `Error listing tabs: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("newTab", {
+      title: "Open New Tab",
+      description: "Open a new tab in a browser session and make it the active tab",
+      inputSchema: {
+        url: z.string().optional().describe("URL to open in the new tab (default: blank tab)"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        waitTime: z.number().optional().describe("Fixed wait after navigation in milliseconds (default: from the config file, else 2000; 0 when a wait condition is given)"),
+        ...waitConditionSchema
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { url, sessionName = this.defaults.sessionName, ...waitOptions } = args;
+        
+        const result = await this.webSourceBrowser.newTab(url || null, sessionName, waitOptions);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Opened tab ${result.tab.id}: ${result.tab.title}
+URL: ${result.tab.url}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error opening tab: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("switchTab", {
+      title: "Switch Tab",
+      description: "Make another tab the active tab for subsequent commands",
+      inputSchema: {
+        tabId: z.number().describe("ID of the tab to activate (from listTabs)"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { tabId, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.switchTab(tabId, sessionName);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Switched to tab ${result.tab.id}: ${result.tab.title}
+URL: ${result.tab.url}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error switching tab: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("closeTab", {
+      title: "Close Tab",
+      description: "Close a tab in a browser session",
+      inputSchema: {
+        tabId: z.number().optional().describe("ID of the tab to close (default: the active tab)"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { tabId, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.closeTab(tabId ?? null, sessionName);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Closed tab ${result.closed}. Active tab is now ${result.activeTab.id}: ${result.activeTab.url}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error closing tab: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    // Input Tools
+    this.mcpServer.registerTool("click", {
+      title: "Click Element",
+      description: "Click an element with a real mouse event",
+      inputSchema: {
+        selector: z.string().describe("Selector of the element to click: " + selectorEngineHelp),
+        button: z.enum(["left", "right", "middle"]).optional().describe("Mouse button (default: left)"),
+        clickCount: z.number().optional().describe("Number of clicks, e.g. 2 for a double click (default: 1)"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        ...inputWaitSchema
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, sessionName = this.defaults.sessionName, ...options } = args;
+        
+        const result = await this.webSourceBrowser.click(selector, sessionName, options);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Clicked ${selector}
+URL: ${result.pageInfo.url}
+Title: ${result.pageInfo.title}
+Result: ${JSON.stringify(result.action)}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error clicking element: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("type", {
+      title: "Type Text",
+      description: "Type text into an input, textarea or contenteditable element with real key events",
+      inputSchema: {
+        selector: z.string().describe("Selector of the element to type into: " + selectorEngineHelp),
+        text: z.string().describe("Text to type"),
+        clear: z.boolean().optional().describe("Clear the existing content first"),
+        delay: z.number().optional().describe("Delay between key presses in milliseconds (default: 0)"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        ...inputWaitSchema
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, text, sessionName = this.defaults.sessionName, ...options } = args;
+        
+        const result = await this.webSourceBrowser.type(selector, text, sessionName, options);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Typed into ${selector}
+URL: ${result.pageInfo.url}
+Title: ${result.pageInfo.title}
+Result: ${JSON.stringify(result.action)}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error typing text: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("press", {
+      title: "Press Key",
+      description: "Press a key or key chord such as Enter, Escape or Control+A",
+      inputSchema: {
+        keys: z.string().describe("Key name or chord joined with '+', e.g. 'Enter' or 'Control+Shift+K'"),
+        selector: z.string().optional().describe("Selector of an element to focus first, in any syntax viewElement accepts"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        ...inputWaitSchema
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { keys, sessionName = this.defaults.sessionName, ...options } = args;
+        
+        const result = await this.webSourceBrowser.press(keys, sessionName, options);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Pressed ${keys}
+URL: ${result.pageInfo.url}
+Title: ${result.pageInfo.title}
+Result: ${JSON.stringify(result.action)}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error pressing key: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("hover", {
+      title: "Hover Element",
+      description: "Move the mouse over an element",
+      inputSchema: {
+        selector: z.string().describe("Selector of the element to hover: " + selectorEngineHelp),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        ...inputWaitSchema
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, sessionName = this.defaults.sessionName, ...options } = args;
+        
+        const result = await this.webSourceBrowser.hover(selector, sessionName, options);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Hovered ${selector}
+URL: ${result.pageInfo.url}
+Title: ${result.pageInfo.title}
+Result: ${JSON.stringify(result.action)}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error hovering element: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("select", {
+      title: "Select Option",
+      description: "Choose one or more option values in a <select> element",
+      inputSchema: {
+        selector: z.string().describe("Selector of the <select> element: " + selectorEngineHelp),
+        values: z.array(z.string()).describe("Option values to select"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        ...inputWaitSchema
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, values, sessionName = this.defaults.sessionName, ...options } = args;
+        
+        const result = await this.webSourceBrowser.select(selector, values, sessionName, options);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Selected ${values.join(', ')} in ${selector}
+URL: ${result.pageInfo.url}
+Title: ${result.pageInfo.title}
+Result: ${JSON.stringify(result.action)}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error selecting option: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("scroll", {
+      title: "Scroll Page",
+      description: "Scroll an element into view, or scroll the page by a pixel delta with the mouse wheel",
+      inputSchema: {
+        target: z.string().describe("Selector to scroll into view (any syntax viewElement accepts), or a delta as 'dy' or 'dx,dy' in pixels"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        ...inputWaitSchema
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { target, sessionName = this.defaults.sessionName, ...options } = args;
+        
+        const result = await this.webSourceBrowser.scroll(target, sessionName, options);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Scrolled to ${target}
+URL: ${result.pageInfo.url}
+Title: ${result.pageInfo.title}
+Result: ${JSON.stringify(result.action)}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error scrolling: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("fillForm", {
+      title: "Fill Form",
+      description: "Fill several form fields at once, addressed by field name, label text or selector, and optionally submit",
+      inputSchema: {
+        values: z.record(z.union([z.string(), z.number(), z.boolean(), z.array(z.string())])).describe("Map of field name, label or selector to value; booleans for checkboxes, arrays for multi-selects and checkbox groups"),
+        form: z.union([z.number(), z.string()]).optional().describe("Form index from listForms or a selector (default: search all forms)"),
+        submit: z.boolean().optional().describe("Submit the form after filling it"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')"),
+        ...inputWaitSchema
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { values, sessionName = this.defaults.sessionName, ...options } = args;
+        
+        const result = await this.webSourceBrowser.fillForm(values, sessionName, options);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Filled ${result.action.filled.length} field(s)${result.action.submitted ? ' and submitted the form' : ''}
+URL: ${result.pageInfo.url}
+Title: ${result.pageInfo.title}
+Result: ${JSON.stringify(result.action)}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error filling form: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    // Execution Tools
+    this.mcpServer.registerTool("executeJavaScript", {
+      title: "Execute JavaScript",
+      description: "Execute JavaScript code or a script file in a browser session and return results",
+      inputSchema: {
+        code: z.string().optional().describe("JavaScript code to execute; returned promises are awaited and top-level await is supported. $find(selector) and $findAll(selector) accept the same selectors as viewElement"),
+        file: z.string().optional().describe("Path of a script file to execute instead of code"),
+        args: z.any().optional().describe("JSON value exposed to the code as the variable `args`"),
+        timeout: z.number().optional().describe("Give up after this many milliseconds (default: no limit)"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { code, file, args: scriptArgs, timeout, frame, sessionName = this.defaults.sessionName } = args;
+        
+        if (Boolean(code) === Boolean(file)) {
+          throw new Error('Provide either code or file');
+        }
+        if (file === '-') {
+          throw new Error('Reading a script from stdin is not available over MCP; pass a file path');
+        }
+        
+        const executeOptions = { timeout: timeout ?? null, args: scriptArgs, frame: frame ?? null };
+        const result = file
+          ? await this.webSourceBrowser.executeScriptFile(file, sessionName, executeOptions)
+          : await this.webSourceBrowser.executeJavaScript(code, sessionName, executeOptions);
+        
+        if (result.success) {
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(result.result, null, 2)
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `JavaScript execution error: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error executing JavaScript: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("runPlaybook", {
+      title: "Run Playbook",
+      description: "Run a JSON or YAML playbook of steps against a browser session and return the combined report",
+      inputSchema: {
+        file: z.string().describe("Path of the playbook file (.json, .yml or .yaml)"),
+        vars: z.record(z.any()).optional().describe("Variables for the playbook, overriding its own vars"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { file, vars = {}, sessionName = this.defaults.sessionName } = args;
+        const result = await this.webSourceBrowser.runPlaybook(file, sessionName, { vars });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }],
+          isError: !result.success
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error running playbook: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    // Inspection Tools
+    this.mcpServer.registerTool("crawlSite", {
+      title: "Crawl Site",
+      description: "Visit pages breadth-first from a start URL in the session's active tab and return one report: per page the URL, status code, title, ready state, outgoing links and optional extracted fields. Can also write an XML sitemap",
+      inputSchema: {
+        url: z.string().describe("URL to start from"),
+        maxDepth: z.number().optional().describe("Link levels to follow from the start page (default: 2)"),
+        maxPages: z.number().optional().describe("Stop after this many pages (default: 50)"),
+        sameOrigin: z.boolean().optional().describe("Only follow links on the start page's origin (default: true)"),
+        include: z.array(z.string()).optional().describe("Only follow URLs matching one of these patterns (substring, glob with * or /regex/)"),
+        exclude: z.array(z.string()).optional().describe("Never follow URLs matching these patterns"),
+        delay: z.number().optional().describe("Milliseconds to pause between pages (default: 500)"),
+        extract: z.string().optional().describe("JavaScript run on every page; its result is stored as the page's fields. `args` holds {url, title}"),
+        sitemap: z.string().optional().describe("File to write an XML sitemap of the pages that loaded to"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { url, sessionName = this.defaults.sessionName, ...options } = args;
+        
+        const result = await this.webSourceBrowser.crawl(url, sessionName, options);
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }],
+          isError: !result.success
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error crawling: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("viewElement", {
+      title: "View Element",
+      description: "View page or element information",
+      inputSchema: {
+        selector: z.string().optional().describe("Selector of element to view (if not provided, views entire page). " + selectorEngineHelp),
+        all: z.boolean().optional().describe("Return every match (up to limit), each with a unique selector"),
+        index: z.number().optional().describe("Which match to view, from 0 (default: 0); with all, the first match to return"),
+        limit: z.number().optional().describe("Most matches to return with all (default: 50)"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, all = false, index = 0, limit = 50, frame, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.viewElement(selector || null, sessionName, { frame: frame ?? null, all, index, limit });
+        
+        if (result.success) {
+          if (result.matches) {
+            return {
+              content: [{
+                type: "text",
+                text: `${result.count} match(es), showing ${result.returned}:
+${result.matches.map(match => `[${match.index}] ${match.selector} - ${match.textContent.trim().substring(0, 100)}`).join('\n')}`
+              }]
+            };
+          } else if (result.page) {
+            return {
+              content: [{
+                type: "text",
+                text: `Page Title: ${result.page.title}
+URL: ${result.page.url}
+Text Preview: ${result.page.text.substring(0, 200)}...`
+              }]
+            };
+          } else if (result.element) {
+            return {
+              content: [{
+                type: "text",
+                text: `Element: ${result.element.tagName} (1 of ${result.count} matches)
+Selector: ${result.element.selector}
+ID: ${result.element.id}
+Classes: ${result.element.className}
+Text: ${result.element.textContent.substring(0, 100)}...
+Visible: ${result.element.isVisible}`
+              }]
+            };
+          }
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `Error viewing element: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error viewing element: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("analyzeSelectors", {
+      title: "Analyze Selectors",
+      description: "Analyze page selectors or selectors within an element. For the whole page: tag, class, attribute and role counts, duplicate ids, test ids, landmarks, the heading outline and which selectors are unique",
+      inputSchema: {
+        selector: z.string().optional().describe("Selector to analyze within (if not provided, analyzes entire page). " + selectorEngineHelp),
+        index: z.number().optional().describe("Which match of the selector to analyze, from 0 (default: 0)"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, index = 0, frame, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.analyzeSelectors(selector || null, sessionName, { frame: frame ?? null, index });
+        
+        if (result.success) {
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(result.analysis, null, 2)
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `Error analyzing selectors: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error analyzing selectors: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("locateElements", {
+      title: "Locate Elements",
+      description: "Find elements by visible text, label, placeholder, title, aria-label, alt text or button value. Each hit comes with candidate selectors ranked by stability (id, test id, role and name, stable attribute, class combination, text, short path), each verified to match only that element; `selector` is the best one",
+      inputSchema: {
+        query: z.string().describe("Text to look for, case-insensitive substring; wrap it in quotes to match the whole text exactly"),
+        limit: z.number().optional().describe("Most elements to return, best matches first (default: 10)"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { query, limit = 10, frame, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.locateElements(query, sessionName, { frame: frame ?? null, limit });
+        
+        if (result.success) {
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({ count: result.count, matches: result.matches }, null, 2)
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `Error locating elements: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error locating elements: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("listFrames", {
+      title: "List Frames",
+      description: "List the frame tree of the active tab with index, name, URL, depth and parent index",
+      inputSchema: {
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.listFrames(sessionName);
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result.frames, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error listing frames: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("readPage", {
+      title: "Read Page",
+      description: "Get the page's main content (detected like a reader mode) or one element as clean Markdown: headings, lists, links with absolute URLs, tables and image alt text, without navigation, ads and scripts. Much smaller than viewElement's HTML",
+      inputSchema: {
+        selector: z.string().optional().describe("Selector of the element to read (if not provided, the main content is detected). " + selectorEngineHelp),
+        index: z.number().optional().describe("Which match of the selector to read, from 0 (default: 0)"),
+        maxLength: z.number().optional().describe("Cut the Markdown to about this many characters (default: no limit)"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, index = 0, maxLength, frame, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.readPage(selector || null, sessionName, { frame: frame ?? null, index, maxLength: maxLength ?? null });
+        
+        if (result.success) {
+          const note = result.truncated ? `\n\n(Truncated: ${result.markdown.length} of ${result.length} characters)` : '';
+          return {
+            content: [{
+              type: "text",
+              text: `Title: ${result.title}\nURL: ${result.url}\nContent: ${result.root}\n\n${result.markdown}${note}`
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `Error reading page: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error reading page: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("accessibilitySnapshot", {
+      title: "Accessibility Snapshot",
+      description: "Get the accessibility tree (roles, names, states, values) of the page or of one element. Far more compact than viewElement's HTML for finding what to click or fill; pair it with role=<role>[name=\"...\"] selectors",
+      inputSchema: {
+        selector: z.string().optional().describe("Selector of the element to root the tree at (if not provided, the whole page). " + selectorEngineHelp),
+        index: z.number().optional().describe("Which match of the selector to use, from 0 (default: 0)"),
+        frame: frameSchema,
+        interestingOnly: z.boolean().optional().describe("Prune nodes that are neither focusable nor carry a name or value (default: true)"),
+        includeIframes: z.boolean().optional().describe("Include the contents of iframes (default: false)"),
+        format: z.enum(["outline", "json"]).optional().describe("'outline' for indented '- role \"name\": value [states]' lines, 'json' for the full tree (default: outline)"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, index = 0, frame, interestingOnly = true, includeIframes = false, format = "outline", sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.getAccessibilityTree(selector || null, sessionName, {
+          frame: frame ?? null,
+          index,
+          interestingOnly,
+          includeIframes,
+          outline: format === "outline"
+        });
+        
+        if (result.success) {
+          return {
+            content: [{
+              type: "text",
+              text: format === "outline" ? result.outline : JSON.stringify(result.tree, null, 2)
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `Error taking accessibility snapshot: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error taking accessibility snapshot: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("saveSnapshot", {
+      title: "Save DOM Snapshot",
+      description: "Save the DOM of the page or of one element under a name, as normalized HTML and text, so diffSnapshot can later show exactly what an action changed. Saving under an existing name replaces it",
+      inputSchema: {
+        name: z.string().describe("Name of the snapshot (letters, numbers, '.', '_' and '-')"),
+        selector: z.string().optional().describe("Selector of the element to snapshot (if not provided, the whole page). " + selectorEngineHelp),
+        index: z.number().optional().describe("Which match of the selector to use, from 0 (default: 0)"),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { name, selector, index = 0, frame, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.saveSnapshot(name, selector || null, sessionName, { frame: frame ?? null, index });
+        
+        if (result.success) {
+          return {
+            content: [{
+              type: "text",
+              text: `Snapshot '${result.name}' saved (${result.lines} lines of HTML) from ${result.url}`
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `Error saving snapshot: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error saving snapshot: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("diffSnapshot", {
+      title: "Diff DOM Snapshot",
+      description: "Compare the live DOM with a snapshot saved by saveSnapshot, using the snapshot's selector and frame. Reports added and removed nodes and changed attributes and text with a selector path for each, plus a unified diff of the HTML",
+      inputSchema: {
+        name: z.string().describe("Name of the saved snapshot"),
+        format: z.enum(["unified", "json"]).optional().describe("'unified' for a summary and the text diff, 'json' for the structured list of changes as well (default: unified)"),
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { name, format = "unified", sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.diffSnapshot(name, sessionName);
+        
+        if (result.success) {
+          const { added, removed, attributes, text } = result.summary;
+          const summary = result.changed
+            ? `${added} added, ${removed} removed, ${attributes} attribute and ${text} text changes since '${name}' (${result.savedAt})`
+            : `No changes since '${name}' (${result.savedAt})`;
+          return {
+            content: [{
+              type: "text",
+              text: format === "json" ? JSON.stringify(result, null, 2) : (result.changed ? `${summary}\n\n${result.unified}` : summary)
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `Error diffing snapshot: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error diffing snapshot: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    });
+
+    this.mcpServer.registerTool("listForms", {
+      title: "List Forms",
+      description: "List the forms on the page with action, method and fields (name, type, label, value, required, options and a selector per field)",
+      inputSchema: {
+        selector: z.string().optional().describe("Selector of a container or form to look in (if not provided, lists every form on the page). " + selectorEngineHelp),
+        frame: frameSchema,
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
+      }
+    }, async (args) => {
+      try {
+        await this.initializeWebSourceBrowser();
+        const { selector, frame, sessionName = this.defaults.sessionName } = args;
+        
+        const result = await this.webSourceBrowser.analyzeForms(selector || null, sessionName, { frame: frame ?? null });
+        
+        if (result.success) {
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify(result.forms, null, 2)
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: `Error listing forms: ${result.error}`
+            }],
+            isError: true
+          };
+        }
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error listing forms: ${error.message}`
           }],
           isError: true
         };
@@ -344,12 +1477,12 @@ Visible: ${result.element.isVisible}`
       description: "Take a screenshot of the current page",
       inputSchema: {
         filename: z.string().optional().describe("Filename for screenshot (if not provided, auto-generated)"),
-        sessionName: z.string().optional().describe("Name of the session (default: 'default')")
+        sessionName: z.string().optional().describe("Name of the session (default: the config file's default session, else 'default')")
       }
     }, async (args) => {
       try {
         await this.initializeWebSourceBrowser();
-        const { filename, sessionName = 'default' } = args;
+        const { filename, sessionName = this.defaults.sessionName } = args;
         
         const result = await this.webSourceBrowser.takeScreenshot(filename || null, sessionName);
         
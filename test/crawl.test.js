@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSourceBrowser, SiteCrawler } from './helpers.js';
+
+const browser = new WebSourceBrowser();
+const crawler = new SiteCrawler(browser);
+
+describe('WebSourceBrowser.createUrlMatcher', () => {
+  it('matches a plain pattern as a substring', () => {
+    const matches = browser.createUrlMatcher('/docs/');
+    assert.equal(matches('https://example.com/docs/intro'), true);
+    assert.equal(matches('https://example.com/blog/docs'), false);
+  });
+  
+  it('matches a glob against the whole URL, with other characters taken literally', () => {
+    const matches = browser.createUrlMatcher('https://example.com/*.html?page=*');
+    assert.equal(matches('https://example.com/a/b.html?page=2'), true);
+    assert.equal(matches('https://example.com/a/bxhtml?page=2'), false);
+    assert.equal(matches('https://example.com/a.html'), false);
+    assert.equal(browser.createUrlMatcher('*/docs')('https://example.com/docs/intro'), false);
+  });
+  
+  it('matches /regex/flags patterns', () => {
+    const matches = browser.createUrlMatcher('/\\/v\\d+\\//i');
+    assert.equal(matches('https://example.com/API/V2/users'), true);
+    assert.equal(matches('https://example.com/api/latest/users'), false);
+  });
+  
+  it('takes a path between slashes without regex syntax or flags as a substring', () => {
+    const matches = browser.createUrlMatcher('/docs/changelog');
+    assert.equal(matches('https://example.com/docs/changelog/1.2'), true);
+    assert.equal(matches('https://example.com/docs-changelog'), false);
+  });
+  
+  it('rejects an invalid regex', () => {
+    assert.throws(() => browser.createUrlMatcher('/(/'), /Invalid URL pattern/);
+  });
+});
+
+describe('SiteCrawler.normalizeUrl', () => {
+  it('drops the fragment', () => {
+    assert.equal(crawler.normalizeUrl('https://example.com/docs#install'), 'https://example.com/docs');
+  });
+  
+  it('rejects other schemes and invalid URLs', () => {
+    for (const href of ['mailto:me@example.com', 'javascript:void(0)', 'ftp://example.com/', 'not a url']) {
+      assert.equal(crawler.normalizeUrl(href), null, href);
+    }
+  });
+});
+
+describe('SiteCrawler.createFilter', () => {
+  it('keeps to the start origin unless told otherwise', () => {
+    const sameOrigin = crawler.createFilter('https://example.com/', {});
+    assert.equal(sameOrigin('https://example.com/about'), true);
+    assert.equal(sameOrigin('https://docs.example.com/'), false);
+    assert.equal(sameOrigin('http://example.com/about'), false);
+    assert.equal(crawler.createFilter('https://example.com/', { sameOrigin: false })('https://docs.example.com/'), true);
+  });
+  
+  it('follows URLs matching any include and no exclude', () => {
+    const isAllowed = crawler.createFilter('https://example.com/', { include: ['/docs/', '/guides/'], exclude: ['/docs/changelog', '/\\.pdf$/'] });
+    assert.equal(isAllowed('https://example.com/guides/setup'), true);
+    assert.equal(isAllowed('https://example.com/blog/'), false);
+    assert.equal(isAllowed('https://example.com/docs/changelog/1.2'), false);
+    assert.equal(isAllowed('https://example.com/docs/manual.pdf'), false);
+  });
+});
+
+describe('SiteCrawler.createSitemap', () => {
+  it('lists each successfully loaded page once, escaped', () => {
+    const sitemap = crawler.createSitemap([
+      { url: 'https://example.com/?a=1&b=2', status: 200 },
+      { url: 'https://example.com/?a=1&b=2', status: 200 },
+      { url: 'https://example.com/missing', status: 404 },
+      { url: 'https://example.com/broken', status: null, error: 'net::ERR_FAILED' },
+      { url: 'https://example.com/file', status: null }
+    ]);
+    assert.equal(sitemap, [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      '  <url><loc>https://example.com/?a=1&amp;b=2</loc></url>',
+      '  <url><loc>https://example.com/file</loc></url>',
+      '</urlset>',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSourceBrowser } from './helpers.js';
+
+const browser = new WebSourceBrowser();
+
+describe('WebSourceBrowser.prepareScript', () => {
+  it('leaves synchronous code to be evaluated as a script', async () => {
+    assert.deepEqual(await browser.prepareScript('let a = 1; a + 1'), { code: 'let a = 1; a + 1', isAsync: false });
+  });
+
+  it('returns the last expression of code with top-level await', async () => {
+    const script = await browser.prepareScript('const r = await fetch(url);\nr.status;');
+    assert.equal(script.isAsync, true);
+    assert.equal(script.code, 'const r = await fetch(url);\nreturn (r.status);');
+  });
+
+  it('treats await followed by parentheses as await, not a function call', async () => {
+    assert.deepEqual(await browser.prepareScript('await (x)'), { code: 'return (await (x));', isAsync: true });
+  });
+
+  it('keeps an explicit return and does not add one after a block', async () => {
+    assert.deepEqual(await browser.prepareScript('return 5'), { code: 'return 5', isAsync: true });
+    assert.deepEqual(await browser.prepareScript('await 1; if (x) { y }'), { code: 'await 1; if (x) { y }', isAsync: true });
+  });
+
+  it('detects for await but ignores await inside nested functions', async () => {
+    assert.equal((await browser.prepareScript('for await (const x of xs) {}')).isAsync, true);
+    assert.equal((await browser.prepareScript('(async () => { await 1 })()')).isAsync, false);
+  });
+
+  it('passes code with syntax errors through for the page to report', async () => {
+    assert.deepEqual(await browser.prepareScript('foo('), { code: 'foo(', isAsync: false });
+  });
+});
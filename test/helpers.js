@@ -0,0 +1,51 @@
+/**
+ * @file test/helpers.js
+ * @description Loads the module with a throwaway home directory so tests never touch real sessions, and
+ *              provides a jsdom page for code that runs in the browser
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const home = mkdtempSync(join(tmpdir(), 'websource-browser-test-'));
+process.env.HOME = home;
+process.on('exit', () => rmSync(home, { recursive: true, force: true }));
+
+// Imported only after HOME points at the temporary directory
+const module = await import('../websource-browser-module.js');
+
+export const { WebSourceBrowser, PlaybookRunner, SiteCrawler, DomSnapshots } = module;
+
+
+// A page with the parts of Puppeteer's Page and Frame that in-page code uses: evaluate() and evaluateHandle()
+// run functions in a jsdom window, and handles passed back in as arguments are unwrapped
+export async function createDomPage(html) {
+  const { JSDOM } = await import('jsdom');
+  const { default: cssEscape } = await import('css.escape');
+  const { window } = new JSDOM(html, { url: 'https://site.test/', runScripts: 'outside-only' });
+  window.CSS = { escape: cssEscape };
+  
+  const run = (fn, args) => window.eval(`(${fn})`)(...args.map(arg => (arg?.isHandle ? arg.value : arg)));
+  const page = {
+    window,
+    // Results come back by value, as they do over the DevTools protocol
+    evaluate: async (fn, ...args) => {
+      const result = run(fn, args);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+    evaluateHandle: async (fn, ...args) => ({ isHandle: true, value: run(fn, args), dispose: async () => {} }),
+    mainFrame: () => page,
+    url: () => window.location.href
+  };
+  return page;
+}
+
+// A WebSourceBrowser that holds page directly, as the session daemon does
+export function attachPage(page, sessionName = 'default') {
+  const browser = new module.WebSourceBrowser();
+  browser.browser = {};
+  browser.currentSession = { name: sessionName };
+  browser.page = page;
+  return browser;
+}
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSourceBrowser, PlaybookRunner } from './helpers.js';
+
+const runner = new PlaybookRunner(new WebSourceBrowser());
+
+describe('PlaybookRunner.interpolate', () => {
+  const variables = { user: { name: 'Ada', ids: [3, 4] }, count: 2 };
+
+  it('keeps the type of a value that is only a placeholder', () => {
+    assert.equal(runner.interpolate('${count}', variables), 2);
+    assert.deepEqual(runner.interpolate('${user.ids}', variables), [3, 4]);
+  });
+
+  it('embeds strings as-is and other values as JSON', () => {
+    assert.equal(runner.interpolate('Hi ${user.name}, ids ${user.ids}', variables), 'Hi Ada, ids [3,4]');
+  });
+
+  it('walks into arrays and objects and leaves other values alone', () => {
+    assert.deepEqual(runner.interpolate({ a: ['${count}', true], b: null }, variables), { a: [2, true], b: null });
+  });
+
+  it('reads environment variables', () => {
+    process.env.WEBSOURCE_BROWSER_TEST_VALUE = 'from env';
+    assert.equal(runner.interpolate('${env.WEBSOURCE_BROWSER_TEST_VALUE}', variables), 'from env');
+    delete process.env.WEBSOURCE_BROWSER_TEST_VALUE;
+  });
+
+  it('rejects unknown variables, undefined paths and unset environment variables', () => {
+    assert.throws(() => runner.interpolate('${missing}', variables), /Unknown variable 'missing'/);
+    assert.throws(() => runner.interpolate('${user.email}', variables), /'user.email' is undefined/);
+    assert.throws(() => runner.interpolate('${env.WEBSOURCE_BROWSER_UNSET}', variables), /is not set/);
+  });
+});
+
+describe('PlaybookRunner.checkAssertion', () => {
+  const value = { title: 'Checkout', items: ['a', 'b'], total: 12, empty: null };
+
+  it('compares values deeply', () => {
+    assert.equal(runner.checkAssertion({ path: 'items', equals: ['a', 'b'] }, value).passed, true);
+    assert.equal(runner.checkAssertion({ path: 'total', notEquals: 12 }, value).passed, false);
+  });
+
+  it('supports contains, matches, exists and numeric bounds', () => {
+    assert.equal(runner.checkAssertion({ path: 'title', contains: 'out' }, value).passed, true);
+    assert.equal(runner.checkAssertion({ path: 'items', contains: 'c' }, value).passed, false);
+    assert.equal(runner.checkAssertion({ path: 'title', matches: '^Check' }, value).passed, true);
+    assert.equal(runner.checkAssertion({ path: 'empty', exists: false }, value).passed, true);
+    assert.equal(runner.checkAssertion({ path: 'total', greaterThan: 10, lessThan: 20 }, value).passed, true);
+    assert.equal(runner.checkAssertion({ path: 'total', greaterThan: 12 }, value).passed, false);
+  });
+
+  it('requires a truthy value when there is no comparison', () => {
+    assert.equal(runner.checkAssertion({ path: 'title' }, value).passed, true);
+    assert.equal(runner.checkAssertion({ path: 'empty' }, value).passed, false);
+    assert.equal(runner.checkAssertion({ path: 'empty', truthy: false }, value).passed, true);
+  });
+
+  it('reports the actual value it checked', () => {
+    assert.deepEqual(runner.checkAssertion({ path: 'items.1', equals: 'b' }, value), { path: 'items.1', equals: 'b', actual: 'b', passed: true });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDomPage, attachPage } from './helpers.js';
+
+const page = await createDomPage(`
+  <header id="1st"><nav class="md:flex w-1/2">Menu</nav></header>
+  <main><section><header class="md:flex">Section header</header></section>
+  <p id="a.b" class="note">One</p><p class="note">Two</p></main>`);
+const browser = attachPage(page);
+const { analysis } = await browser.analyzeSelectors();
+
+describe('WebSourceBrowser.analyzeSelectors', () => {
+  it('escapes ids and classes so every selector is valid', () => {
+    assert.deepEqual(analysis.idSelectors, ['#\\31 st', '#a\\.b']);
+    assert.deepEqual(analysis.classSelectors, ['.md\\:flex', '.note', '.w-1\\/2']);
+    assert.deepEqual(analysis.classCounts, { '.md\\:flex': 2, '.note': 2, '.w-1\\/2': 1 });
+  });
+  
+  it('lists only selectors that match one element', () => {
+    assert.deepEqual(analysis.uniqueSelectors, ['#\\31 st', '#a\\.b', 'body', 'head', 'html', 'main', 'nav', 'section', '.w-1\\/2']);
+  });
+  
+  it('gives a header the banner role only outside sectioning elements', () => {
+    assert.equal(analysis.roles.banner, 1);
+    assert.deepEqual(analysis.landmarks.map(landmark => landmark.role), ['banner', 'navigation', 'main']);
+  });
+  
+  it('escapes the ids and classes of child elements', async () => {
+    const result = await browser.analyzeSelectors('main');
+    assert.equal(result.success, true);
+    assert.deepEqual(result.analysis.childSelectors.map(child => [child.id, child.classes]), [
+      [null, []],
+      ['#a\\.b', ['.note']],
+      [null, ['.note']]
+    ]);
+  });
+});
+
+describe('text= selectors', () => {
+  it('match the innermost elements containing the text', async () => {
+    const textPage = await createDomPage(`
+      <div id="outer"><section id="inner"><button id="save">Save</button><p id="note">Save often. <b id="bold">Save</b></p></section></div>
+      <span id="other">Cancel</span>`);
+    const helpers = await attachPage(textPage).createPageHelpers(textPage);
+    const ids = await textPage.evaluate((helpers, selector) => helpers.queryAll(document, selector).map(el => el.id), helpers, 'text=save');
+    assert.deepEqual(ids, ['save', 'bold']);
+  });
+});
+
+describe('WebSourceBrowser.locateElements', () => {
+  it('offers only selectors whose Puppeteer form also finds just that element', async () => {
+    const shadowPage = await createDomPage('<button class="save">Save</button><x-panel></x-panel>');
+    shadowPage.window.document.querySelector('x-panel').attachShadow({ mode: 'open' }).innerHTML = '<button class="save">Save</button>';
+    const { matches } = await attachPage(shadowPage).locateElements('"Save"');
+    const [light, shadow] = matches.map(match => match.selectors.map(({ type, selector, puppeteer }) => [type, selector, puppeteer]));
+    // Puppeteer's ::-p-aria and ::-p-text also find the button in the shadow tree
+    assert.deepEqual(light, [['class', 'button.save', 'button.save']]);
+    assert.deepEqual(shadow, [
+      ['role', 'x-panel >>> role=button[name="Save"]', 'x-panel >>> ::-p-aria([name="Save"][role="button"])'],
+      ['class', 'x-panel >>> button.save', 'x-panel >>> button.save'],
+      ['text', 'x-panel >>> text="Save"', 'x-panel >>> ::-p-text("Save")']
+    ]);
+  });
+});
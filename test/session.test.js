@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSourceBrowser } from './helpers.js';
+
+const browser = new WebSourceBrowser();
+
+describe('WebSourceBrowser.parseIdleTimeout', () => {
+  it('reads plain numbers as minutes', () => {
+    assert.equal(browser.parseIdleTimeout('30'), 30 * 60 * 1000);
+    assert.equal(browser.parseIdleTimeout(1.5), 90 * 1000);
+  });
+
+  it('accepts seconds, minutes and hours', () => {
+    assert.equal(browser.parseIdleTimeout('90s'), 90 * 1000);
+    assert.equal(browser.parseIdleTimeout('45m'), 45 * 60 * 1000);
+    assert.equal(browser.parseIdleTimeout(' 2h '), 2 * 60 * 60 * 1000);
+  });
+
+  it('turns "never" into no timeout', () => {
+    assert.equal(browser.parseIdleTimeout('never'), null);
+  });
+
+  it('rejects anything shorter than a second or not a duration', () => {
+    for (const value of ['0', '0.5s', '-5', '10d', 'soon', '']) {
+      assert.throws(() => browser.parseIdleTimeout(value), /Invalid idle timeout/, value);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSourceBrowser, DomSnapshots } from './helpers.js';
+
+const snapshots = new DomSnapshots(new WebSourceBrowser());
+const element = (tag, children = [], attributes = {}) => ({ tag, attributes, children });
+const item = (text) => element('li', [{ text }]);
+
+describe('DomSnapshots.longestCommonPairs', () => {
+  // Several subsequences can be longest, so only the pairs' validity and number are checked
+  const assertCommon = (a, b, length) => {
+    const pairs = snapshots.longestCommonPairs(a, b);
+    assert.equal(pairs.length, length);
+    pairs.forEach(([i, j], index) => {
+      assert.equal(a[i], b[j]);
+      if (index > 0) assert.ok(i > pairs[index - 1][0] && j > pairs[index - 1][1]);
+    });
+  };
+  
+  it('pairs a longest common subsequence in order', () => {
+    assertCommon(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c'], 4);
+  });
+  
+  it('pairs repeated items without crossing', () => {
+    assertCommon(['x', 'x', 'y'], ['y', 'x', 'x', 'x'], 2);
+    assertCommon(['a', 'b', 'a', 'b'], ['b', 'a', 'b', 'a'], 3);
+  });
+  
+  it('pairs nothing in lists without common items', () => {
+    assert.deepEqual(snapshots.longestCommonPairs(['a', 'b'], ['c', 'd']), []);
+    assert.deepEqual(snapshots.longestCommonPairs([], ['c']), []);
+  });
+});
+
+describe('DomSnapshots.diffTrees', () => {
+  it('reports an item added to a list of equal items once', () => {
+    const before = element('ul', [item('Same'), item('Same'), item('Last')]);
+    const after = element('ul', [item('Same'), item('Same'), item('Same'), item('Last')]);
+    assert.deepEqual(snapshots.diffTrees(before, after, 'ul'), [{ type: 'added', path: 'ul > li:nth-child(3)', html: '<li>Same</li>' }]);
+  });
+  
+  it('pairs changed elements by tag and id to report what changed inside them', () => {
+    const before = element('div', [element('p', [{ text: 'Total: $3' }], { id: 'total' }), item('Gone')]);
+    const after = element('div', [element('span'), element('p', [{ text: 'Total: $5' }], { id: 'total', class: 'updated' })]);
+    assert.deepEqual(snapshots.diffTrees(before, after, 'div'), [
+      { type: 'removed', path: 'div > li:nth-child(2)', html: '<li>Gone</li>' },
+      { type: 'added', path: 'div > span:nth-child(1)', html: '<span></span>' },
+      { type: 'attribute', path: 'div > p#total', name: 'class', before: null, after: 'updated' },
+      { type: 'text', path: 'div > p#total', before: 'Total: $3', after: 'Total: $5' }
+    ]);
+  });
+});
+
+describe('DomSnapshots.unifiedDiff', () => {
+  it('is empty when nothing changed', () => {
+    assert.equal(snapshots.unifiedDiff(['a', 'b'], ['a', 'b'], 'before', 'after'), '');
+  });
+  
+  it('shows changes with three lines of context and line numbers for each hunk', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'];
+    const after = ['1', '2', 'two', '3', '4', '5', '6', '7', '8', '9', 'ten', '11', '12'];
+    assert.equal(snapshots.unifiedDiff(before, after, 'before', 'after'), [
+      '--- before',
+      '+++ after',
+      '@@ -1,5 +1,6 @@',
+      ' 1',
+      ' 2',
+      '+two',
+      ' 3',
+      ' 4',
+      ' 5',
+      '@@ -7,6 +8,6 @@',
+      ' 7',
+      ' 8',
+      ' 9',
+      '-10',
+      '+ten',
+      ' 11',
+      ' 12'
+    ].join('\n'));
+  });
+});
@@ -5,12 +5,15 @@
  * @description Module version of WebSourceBrowser for MCP integration
  */
 
-import { writeFileSync, readFileSync, existsSync, unlinkSync, mkdirSync, readdirSync } from 'fs';
-import { resolve, join } from 'path';
+import { writeFileSync, readFileSync, existsSync, unlinkSync, mkdirSync, readdirSync, statSync, cpSync, rmSync, chmodSync } from 'fs';
+import { resolve, join, basename, dirname } from 'path';
+import { isDeepStrictEqual } from 'util';
 import { homedir } from 'os';
-import { spawn } from 'child_process';
-import puppeteer from 'puppeteer';
+import { spawn, execFileSync } from 'child_process';
+import puppeteer, { KnownDevices } from 'puppeteer';
 import { createServer, createConnection } from 'net';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { createInterface } from 'readline';
 
 const DEBUG_MODE = process.env.DEBUG === 'true';
 
@@ -45,6 +48,15 @@ class WebSourceLogger {
   }
 }
 
+// How long a client waits for the session daemon to answer a command before giving up on it
+const REQUEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Longest control request line the daemon buffers; scripts and playbooks are far smaller
+const MAX_REQUEST_LENGTH = 16 * 1024 * 1024;
+
+// Stands in for the value of a filled-in password field in --forms output and DOM snapshots
+const HIDDEN_VALUE = '[hidden]';
+
 class SessionManager {
   constructor(logger) {
     this.logger = logger;
@@ -54,7 +66,8 @@ class SessionManager {
 
   ensureSessionsDir() {
     if (!existsSync(this.sessionsDir)) {
-      mkdirSync(this.sessionsDir, { recursive: true });
+      // Session files hold the control token, so keep them private to the user
+      mkdirSync(this.sessionsDir, { recursive: true, mode: 0o700 });
       this.logger.debug(`Created sessions directory: ${this.sessionsDir}`);
     }
   }
@@ -63,6 +76,13 @@ class SessionManager {
     return join(this.sessionsDir, `${sessionName}.json`);
   }
 
+  writeSessionFile(sessionName, sessionData) {
+    const sessionFile = this.getSessionFile(sessionName);
+    writeFileSync(sessionFile, JSON.stringify(sessionData, null, 2), { mode: 0o600 });
+    // mode only applies when the file is created
+    chmodSync(sessionFile, 0o600);
+  }
+
   sessionExists(sessionName) {
     return existsSync(this.getSessionFile(sessionName));
   }
@@ -78,7 +98,7 @@ class SessionManager {
       currentUrl: null
     };
     
-    writeFileSync(this.getSessionFile(sessionName), JSON.stringify(sessionData, null, 2));
+    this.writeSessionFile(sessionName, sessionData);
     this.logger.debug(`Session created: ${sessionName} (PID: ${pid})`);
     return sessionData;
   }
@@ -102,7 +122,7 @@ class SessionManager {
     if (!session) return false;
     
     const updatedSession = { ...session, ...updates };
-    writeFileSync(this.getSessionFile(sessionName), JSON.stringify(updatedSession, null, 2));
+    this.writeSessionFile(sessionName, updatedSession);
     return true;
   }
 
@@ -120,6 +140,42 @@ class SessionManager {
     return false;
   }
 
+  validateSnapshotName(snapshotName) {
+    if (!snapshotName || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(snapshotName)) {
+      throw new Error(`Invalid snapshot name '${snapshotName}'. Use letters, numbers, '.', '_' and '-'.`);
+    }
+  }
+
+  // Snapshots sit in a directory named after the session, so they outlive --stop like the session's name does
+  getSnapshotFile(sessionName, snapshotName) {
+    this.validateSnapshotName(snapshotName);
+    return join(this.sessionsDir, sessionName, 'snapshots', `${snapshotName}.json`);
+  }
+
+  writeSnapshot(sessionName, snapshotName, snapshot) {
+    const snapshotFile = this.getSnapshotFile(sessionName, snapshotName);
+    // Page content can be private, like the session files
+    mkdirSync(dirname(snapshotFile), { recursive: true, mode: 0o700 });
+    writeFileSync(snapshotFile, JSON.stringify(snapshot), { mode: 0o600 });
+    return snapshotFile;
+  }
+
+  readSnapshot(sessionName, snapshotName) {
+    const snapshotFile = this.getSnapshotFile(sessionName, snapshotName);
+    if (!existsSync(snapshotFile)) {
+      return null;
+    }
+    return JSON.parse(readFileSync(snapshotFile, 'utf8'));
+  }
+
+  listSnapshots(sessionName) {
+    const snapshotsDir = join(this.sessionsDir, sessionName, 'snapshots');
+    if (!existsSync(snapshotsDir)) {
+      return [];
+    }
+    return readdirSync(snapshotsDir).filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).sort();
+  }
+
   listSessions() {
     if (!existsSync(this.sessionsDir)) {
       return [];
@@ -146,16 +202,411 @@ class SessionManager {
     if (!session) return false;
     
     try {
-      // Try to connect to the browser to verify it's still running
-      const browser = await puppeteer.connect({ browserWSEndpoint: session.wsEndpoint });
-      await browser.disconnect();
-      return true;
+      // Ask the daemon for its status instead of opening a CDP connection
+      const status = await this.sendRequest(sessionName, 'status', {}, 5000);
+      return status.active === true;
     } catch (error) {
       this.logger.debug(`Session ${sessionName} appears inactive: ${error.message}`);
       return false;
     }
   }
 
+  // Send a newline-delimited JSON-RPC request to the session daemon's control server
+  async sendRequest(sessionName, method, params = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
+    const session = this.getSession(sessionName);
+    if (!session || !session.controlPort) {
+      throw new Error(`Session '${sessionName}' has no control port`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = createConnection(session.controlPort, '127.0.0.1');
+      socket.setEncoding('utf8');
+      
+      let buffer = '';
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        socket.end();
+        callback(value);
+      };
+      
+      const timeout = timeoutMs > 0 ? setTimeout(() => {
+        socket.destroy();
+        settle(reject, new Error(`Daemon request '${method}' timed out after ${timeoutMs}ms`));
+      }, timeoutMs) : null;
+      
+      socket.on('connect', () => {
+        socket.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method, params, token: session.token }) + '\n');
+      });
+      
+      socket.on('data', (data) => {
+        buffer += data;
+        const newline = buffer.indexOf('\n');
+        if (newline === -1) return;
+        
+        let response;
+        try {
+          response = JSON.parse(buffer.slice(0, newline));
+        } catch (error) {
+          settle(reject, new Error(`Invalid response from session daemon: ${error.message}`));
+          return;
+        }
+        
+        if (response.error) {
+          settle(reject, new Error(response.error.message));
+        } else {
+          settle(resolve, response.result);
+        }
+      });
+      
+      socket.on('error', (err) => settle(reject, err));
+      socket.on('close', () => settle(reject, new Error(`Session daemon closed the connection during '${method}'`)));
+    });
+  }
+
+}
+
+class ProfileManager {
+  constructor(logger) {
+    this.logger = logger;
+    this.profilesDir = join(homedir(), '.local', 'lib', 'websource-browser', 'profiles');
+    this.ensureProfilesDir();
+  }
+
+  ensureProfilesDir() {
+    if (!existsSync(this.profilesDir)) {
+      mkdirSync(this.profilesDir, { recursive: true, mode: 0o700 });
+      this.logger.debug(`Created profiles directory: ${this.profilesDir}`);
+    }
+  }
+
+  validateProfileName(profileName) {
+    if (!profileName || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(profileName)) {
+      throw new Error(`Invalid profile name '${profileName}'. Use letters, numbers, '.', '_' and '-'.`);
+    }
+  }
+
+  getProfileDir(profileName) {
+    this.validateProfileName(profileName);
+    return join(this.profilesDir, profileName);
+  }
+
+  profileExists(profileName) {
+    return existsSync(this.getProfileDir(profileName));
+  }
+
+  // Profiles are created on first use by --start --profile
+  ensureProfile(profileName) {
+    const profileDir = this.getProfileDir(profileName);
+    if (!existsSync(profileDir)) {
+      mkdirSync(profileDir, { recursive: true });
+      this.logger.info(`Created profile: ${profileName}`);
+    }
+    return profileDir;
+  }
+
+  listProfiles() {
+    if (!existsSync(this.profilesDir)) {
+      return [];
+    }
+    
+    return readdirSync(this.profilesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => {
+        const profileDir = join(this.profilesDir, entry.name);
+        const stats = statSync(profileDir);
+        return {
+          name: entry.name,
+          path: profileDir,
+          created: stats.birthtime.toISOString(),
+          lastModified: stats.mtime.toISOString()
+        };
+      });
+  }
+
+  cloneProfile(sourceName, targetName) {
+    const sourceDir = this.getProfileDir(sourceName);
+    const targetDir = this.getProfileDir(targetName);
+    
+    if (!existsSync(sourceDir)) {
+      throw new Error(`Profile '${sourceName}' does not exist`);
+    }
+    if (existsSync(targetDir)) {
+      throw new Error(`Profile '${targetName}' already exists`);
+    }
+    
+    // Chrome's singleton lock files tie a profile to a running instance and must not be copied
+    cpSync(sourceDir, targetDir, {
+      recursive: true,
+      filter: (src) => !basename(src).startsWith('Singleton')
+    });
+    this.logger.debug(`Profile cloned: ${sourceName} -> ${targetName}`);
+    return targetDir;
+  }
+
+  deleteProfile(profileName) {
+    const profileDir = this.getProfileDir(profileName);
+    if (!existsSync(profileDir)) {
+      return false;
+    }
+    
+    rmSync(profileDir, { recursive: true, force: true });
+    this.logger.debug(`Profile deleted: ${profileName}`);
+    return true;
+  }
+}
+
+// Settings a preset can provide; scaleFactor matches the --scale-factor flag
+const PRESET_KEYS = ['headless', 'viewport', 'scaleFactor', 'device', 'userAgent', 'locale', 'timezone', 'colorScheme', 'proxy', 'profile', 'idleTimeout'];
+const DEFAULT_KEYS = ['session', 'format', 'wait', 'preset'];
+
+class ConfigManager {
+  constructor(cwd = process.cwd()) {
+    const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+    this.userConfigFile = join(configHome, 'websource-browser', 'config.json');
+    this.projectConfigFile = this.findProjectConfig(cwd);
+    this.config = null;
+  }
+
+  // The nearest .websource-browser.json in the working directory or one of its parents
+  findProjectConfig(cwd) {
+    let dir = resolve(cwd);
+    while (true) {
+      const configFile = join(dir, '.websource-browser.json');
+      if (existsSync(configFile)) {
+        return configFile;
+      }
+      const parent = dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
+  readConfigFile(configFile) {
+    let config;
+    try {
+      config = JSON.parse(readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read config file ${configFile}: ${error.message}`);
+    }
+    
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(config)) {
+      throw new Error(`Config file ${configFile} must contain a JSON object`);
+    }
+    
+    const defaults = config.defaults || {};
+    const presets = config.presets || {};
+    if (!isObject(defaults) || !isObject(presets)) {
+      throw new Error(`"defaults" and "presets" in ${configFile} must be objects`);
+    }
+    
+    for (const key of Object.keys(defaults)) {
+      if (!DEFAULT_KEYS.includes(key)) {
+        throw new Error(`Unknown default '${key}' in ${configFile}. Supported defaults: ${DEFAULT_KEYS.join(', ')}`);
+      }
+    }
+    if (defaults.format !== undefined && !['json', 'pretty'].includes(defaults.format)) {
+      throw new Error(`Default format in ${configFile} must be "json" or "pretty"`);
+    }
+    if (defaults.wait !== undefined && !(Number.isInteger(defaults.wait) && defaults.wait >= 0)) {
+      throw new Error(`Default wait in ${configFile} must be a positive number of milliseconds`);
+    }
+    if (defaults.session !== undefined && !(typeof defaults.session === 'string' && defaults.session)) {
+      throw new Error(`Default session in ${configFile} must be a session name`);
+    }
+    
+    const normalizedPresets = {};
+    for (const [presetName, preset] of Object.entries(presets)) {
+      if (!isObject(preset)) {
+        throw new Error(`Preset '${presetName}' in ${configFile} must be an object`);
+      }
+      for (const key of Object.keys(preset)) {
+        if (!PRESET_KEYS.includes(key)) {
+          throw new Error(`Unknown setting '${key}' in preset '${presetName}' (${configFile}). Supported settings: ${PRESET_KEYS.join(', ')}`);
+        }
+      }
+      
+      // Accept the same WIDTHxHEIGHT form as --viewport
+      const normalized = { ...preset };
+      if (typeof preset.viewport === 'string') {
+        const match = /^(\d+)x(\d+)$/.exec(preset.viewport);
+        if (!match) {
+          throw new Error(`Viewport in preset '${presetName}' must be WIDTHxHEIGHT (e.g. 390x844)`);
+        }
+        normalized.viewport = { width: parseInt(match[1]), height: parseInt(match[2]) };
+      }
+      normalizedPresets[presetName] = normalized;
+    }
+    
+    return { defaults, presets: normalizedPresets };
+  }
+
+  // Project settings override user settings; a preset defined in both is taken from the project file as a whole
+  load() {
+    if (this.config) {
+      return this.config;
+    }
+    
+    const config = { defaults: {}, presets: {}, files: [] };
+    for (const configFile of [this.userConfigFile, this.projectConfigFile]) {
+      if (!configFile || !existsSync(configFile)) {
+        continue;
+      }
+      const fileConfig = this.readConfigFile(configFile);
+      Object.assign(config.defaults, fileConfig.defaults);
+      Object.assign(config.presets, fileConfig.presets);
+      config.files.push(configFile);
+    }
+    
+    this.config = config;
+    return config;
+  }
+
+  getDefaults() {
+    const { defaults } = this.load();
+    return {
+      sessionName: defaults.session || 'default',
+      format: defaults.format || 'json',
+      waitTime: defaults.wait ?? 2000,
+      preset: defaults.preset || null
+    };
+  }
+
+  getPreset(presetName) {
+    const { presets } = this.load();
+    if (!Object.hasOwn(presets, presetName)) {
+      const available = Object.keys(presets);
+      throw new Error(available.length > 0
+        ? `Unknown preset '${presetName}'. Available presets: ${available.join(', ')}`
+        : `Unknown preset '${presetName}'. No presets are defined in ${this.userConfigFile} or .websource-browser.json`);
+    }
+    return presets[presetName];
+  }
+
+  // Fill the start options that weren't given from a preset; explicit options always win
+  applyPreset(options, presetName) {
+    if (!presetName) {
+      return options;
+    }
+    
+    const { scaleFactor, ...preset } = this.getPreset(presetName);
+    if (scaleFactor !== undefined) {
+      preset.deviceScaleFactor = scaleFactor;
+    }
+    
+    const merged = { ...options };
+    for (const [key, value] of Object.entries(preset)) {
+      if (merged[key] === undefined || merged[key] === null) {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+}
+
+class ProcessReaper {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  isAlive(pid) {
+    if (!pid) return false;
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  // ps reports elapsed time as [[dd-]hh:]mm:ss
+  parseElapsed(elapsed) {
+    const [days, clock] = elapsed.includes('-') ? elapsed.split('-') : [0, elapsed];
+    const seconds = clock.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+    return parseInt(days) * 86400 + seconds;
+  }
+
+  // Daemons and browsers started by this tool carry a marker switch naming their session
+  listToolProcesses() {
+    let output;
+    try {
+      output = execFileSync('ps', ['-eo', 'pid=,ppid=,etime=,args='], { encoding: 'utf8' });
+    } catch (error) {
+      this.logger.warn(`Could not list processes: ${error.message}`);
+      return [];
+    }
+    
+    const processes = [];
+    for (const line of output.split('\n')) {
+      const match = /^\s*(\d+)\s+(\d+)\s+(\S+)\s+(.*)$/.exec(line);
+      if (!match) continue;
+      
+      const command = match[4];
+      const marker = /--websource-browser-(daemon|session)=(\S+)/.exec(command);
+      // Chrome's helper processes (renderer, gpu, ...) exit with the browser process
+      if (!marker || command.includes(' --type=')) continue;
+      
+      let session;
+      try {
+        session = decodeURIComponent(marker[2]);
+      } catch (error) {
+        continue; // Not a marker we wrote
+      }
+      
+      processes.push({
+        pid: parseInt(match[1]),
+        ppid: parseInt(match[2]),
+        ageSeconds: this.parseElapsed(match[3]),
+        kind: marker[1] === 'daemon' ? 'daemon' : 'browser',
+        session
+      });
+    }
+    return processes;
+  }
+
+  async waitForExit(pid, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.isAlive(pid)) {
+      if (Date.now() >= deadline) return false;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return true;
+  }
+
+  // SIGTERM first, SIGKILL if the process is still around after the grace period
+  async terminate(pid, graceMs = 3000) {
+    for (const signal of ['SIGTERM', 'SIGKILL']) {
+      if (!this.isAlive(pid)) return true;
+      try {
+        process.kill(pid, signal);
+      } catch (error) {
+        this.logger.debug(`Could not send ${signal} to ${pid}: ${error.message}`);
+      }
+      if (await this.waitForExit(pid, signal === 'SIGTERM' ? graceMs : 1000)) return true;
+    }
+    return false;
+  }
+
+  async isPortInUse(port) {
+    return new Promise((resolve) => {
+      const socket = createConnection(port, '127.0.0.1');
+      socket.setTimeout(1000);
+      socket.on('connect', () => {
+        socket.destroy();
+        resolve(true);
+      });
+      socket.on('timeout', () => {
+        socket.destroy();
+        resolve(false);
+      });
+      socket.on('error', () => resolve(false));
+    });
+  }
 }
 
 class SessionDaemon {
@@ -165,62 +616,54 @@ class SessionDaemon {
     this.options = options;
     this.browser = null;
     this.lastActivity = Date.now();
-    this.timeoutMs = 15 * 60 * 1000; // 15 minutes
+    // null disables the idle shutdown
+    this.timeoutMs = options.idleTimeoutMs !== undefined ? options.idleTimeoutMs : 15 * 60 * 1000; // 15 minutes
     this.checkInterval = 60 * 1000; // Check every minute
     this.monitorTimer = null;
     this.controlServer = null;
     this.controlPort = null;
+    this.client = null;
+    this.commandQueue = Promise.resolve();
+    // Commands queued or running; the session is never idle while there are any
+    this.activeCommands = 0;
+    this.chromeProcess = null;
+    this.shuttingDown = false;
+    // Every control request must present this token, which only the session file holds
+    this.token = randomBytes(32).toString('hex');
   }
 
   async start() {
     this.logger.info(`Starting session daemon: ${this.sessionName}`);
     
     try {
-      // Find available port for remote debugging
-      const debugPort = 9220 + Math.floor(Math.random() * 100);
-      
       // Find available port for control server
       this.controlPort = await this.findAvailablePort(9320);
       
-      // Get Chrome executable path
-      const executablePath = puppeteer.executablePath();
+      const launchOptions = this.options.launchOptions || {};
+      const attached = Boolean(this.options.attachEndpoint);
       
-      // Launch Chrome with remote debugging
-      const chromeArgs = [
-        '--remote-debugging-port=' + debugPort,
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding'
-      ];
-      
-      if (this.options.headless) {
-        chromeArgs.push('--headless=new');
+      // A launched browser has no WebSocket endpoint: it only talks to this daemon over a pipe
+      let wsEndpoint = null;
+      if (attached) {
+        wsEndpoint = this.options.attachEndpoint;
+        this.logger.info(`Attaching to existing browser: ${wsEndpoint}`);
+        // An attached browser keeps its own window sizes
+        this.browser = await puppeteer.connect({ browserWSEndpoint: wsEndpoint, defaultViewport: null });
+      } else {
+        this.browser = await this.launchChrome(launchOptions);
       }
       
-      // Spawn Chrome process
-      const chromeProcess = spawn(executablePath, chromeArgs, {
-        detached: false, // Keep attached to daemon
-        stdio: 'ignore'
+      // Nothing left to serve once the browser goes away (e.g. an attached browser was closed)
+      this.browser.on('disconnected', () => {
+        if (!this.shuttingDown) {
+          this.logger.warn('Browser connection lost');
+          this.shutdown();
+        }
       });
       
-      // Wait for Chrome to start up
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Get the proper WebSocket endpoint
-      let wsEndpoint;
-      try {
-        const response = await fetch(`http://127.0.0.1:${debugPort}/json/version`);
-        const data = await response.json();
-        wsEndpoint = data.webSocketDebuggerUrl;
-      } catch (error) {
-        throw new Error(`Failed to get Chrome debugging endpoint: ${error.message}`);
-      }
-      
-      // Connect to Chrome
-      this.browser = await puppeteer.connect({ browserWSEndpoint: wsEndpoint });
+      // Commands received over the control server run against this connection
+      this.client = new WebSourceBrowser();
+      await this.client.attachToBrowser(this.browser, this.sessionName, launchOptions);
       
       // Start control server for client communication
       await this.startControlServer();
@@ -233,96 +676,354 @@ class SessionDaemon {
       sessionManager.createSession(this.sessionName, wsEndpoint, process.pid, this.options.headless);
       sessionManager.updateSession(this.sessionName, { 
         controlPort: this.controlPort,
-        debugPort: debugPort
+        activeTab: this.client.getTabId(this.client.page),
+        launchOptions: launchOptions,
+        profile: this.options.profile || null,
+        idleTimeoutMs: this.timeoutMs,
+        chromePid: this.chromeProcess?.pid || null,
+        attached: attached,
+        token: this.token
       });
       
       this.logger.success(`Session daemon '${this.sessionName}' started successfully`);
-      this.logger.info(`Control Port: ${this.controlPort}, Debug Port: ${debugPort}`);
+      this.logger.info(`Control Port: ${this.controlPort}`);
       
       // Handle graceful shutdown
       process.on('SIGTERM', () => this.shutdown());
       process.on('SIGINT', () => this.shutdown());
       
-      return { success: true, controlPort: this.controlPort, debugPort, wsEndpoint };
+      return { success: true, controlPort: this.controlPort, wsEndpoint };
       
     } catch (error) {
+      if (this.chromeProcess) {
+        this.shuttingDown = true;
+        this.chromeProcess.kill('SIGKILL');
+      }
       throw new Error(`Failed to start session daemon '${this.sessionName}': ${error.message}`);
     }
   }
 
+  // Chrome is driven over a pipe rather than a remote debugging port, which any local user could connect to
+  // without the session token
+  async launchChrome(launchOptions) {
+    const chromeArgs = [
+      // Marks the process as ours so --prune can find it if the daemon dies
+      `--websource-browser-session=${encodeURIComponent(this.sessionName)}`,
+      '--disable-dev-shm-usage',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding'
+    ];
+    
+    // Chrome refuses to start its sandbox as root, so only then is it turned off
+    if (process.getuid?.() === 0) {
+      chromeArgs.push('--no-sandbox', '--disable-setuid-sandbox');
+    }
+    
+    if (launchOptions.viewport) {
+      chromeArgs.push(`--window-size=${launchOptions.viewport.width},${launchOptions.viewport.height}`);
+    }
+    if (launchOptions.locale) {
+      chromeArgs.push(`--lang=${launchOptions.locale}`);
+    }
+    if (launchOptions.proxy) {
+      chromeArgs.push(`--proxy-server=${launchOptions.proxy}`);
+    }
+    
+    const browser = await puppeteer.launch({
+      executablePath: puppeteer.executablePath(),
+      pipe: true,
+      headless: Boolean(this.options.headless),
+      args: chromeArgs,
+      userDataDir: this.options.profile ? new ProfileManager(this.logger).ensureProfile(this.options.profile) : undefined,
+      // The daemon decides when the browser goes away
+      handleSIGINT: false,
+      handleSIGTERM: false,
+      handleSIGHUP: false
+    });
+    this.chromeProcess = browser.process();
+    
+    // A browser that exits on its own leaves nothing for the daemon to serve
+    this.chromeProcess.on('exit', (code, signal) => {
+      if (!this.shuttingDown) {
+        this.logger.warn(`Browser exited unexpectedly (${signal || `code ${code}`})`);
+        this.shutdown();
+      }
+    });
+    
+    // Last resort if the daemon exits without going through shutdown()
+    process.on('exit', () => {
+      if (this.chromeProcess.exitCode === null && this.chromeProcess.signalCode === null) {
+        this.chromeProcess.kill('SIGKILL');
+      }
+    });
+    
+    return browser;
+  }
+
   async findAvailablePort(startPort) {
     return new Promise((resolve, reject) => {
       const server = createServer();
-      server.listen(startPort, (err) => {
-        if (err) {
-          // If the specific port is in use, try to find any available port
-          server.listen(0, (err) => {
-            if (err) reject(err);
-            const port = server.address().port;
-            server.close(() => resolve(port));
-          });
-        } else {
-          const port = server.address().port;
-          server.close(() => resolve(port));
-        }
+      server.once('listening', () => {
+        const port = server.address().port;
+        server.close(() => resolve(port));
       });
+      server.once('error', () => {
+        // If the specific port is in use, try to find any available port
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1');
+      });
+      server.listen(startPort, '127.0.0.1');
     });
   }
 
   async startControlServer() {
     return new Promise((resolve, reject) => {
       this.controlServer = createServer((socket) => {
+        socket.setEncoding('utf8');
+        let buffer = '';
+        
         socket.on('data', (data) => {
-          const message = data.toString().trim();
-          if (message === 'ping') {
-            this.updateActivity();
-            socket.write('pong\n');
-          } else if (message === 'status') {
-            const status = {
-              active: true,
-              lastActivity: this.lastActivity,
-              timeUntilShutdown: Math.max(0, this.timeoutMs - (Date.now() - this.lastActivity))
-            };
-            socket.write(JSON.stringify(status) + '\n');
+          buffer += data;
+          let newline;
+          while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line) {
+              this.handleControlMessage(socket, line).catch((error) => {
+                // Never let one bad request take down the daemon and its browser
+                this.logger.debug(`Control request failed: ${error.message}`);
+                if (!socket.destroyed) {
+                  socket.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32603, message: `Internal error: ${error.message}` } }) + '\n');
+                }
+              });
+            }
           }
+          if (buffer.length > MAX_REQUEST_LENGTH) {
+            this.logger.warn('Dropped a control connection whose request was too long');
+            buffer = '';
+            socket.removeAllListeners('data');
+            socket.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: `Invalid request: longer than ${MAX_REQUEST_LENGTH} characters` } }) + '\n', () => socket.destroy());
+          }
+        });
+        
+        socket.on('error', (error) => {
+          this.logger.debug(`Control connection error: ${error.message}`);
         });
       });
 
-      this.controlServer.listen(this.controlPort, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
+      // Loopback only: the control protocol can run arbitrary code in the browser
+      this.controlServer.once('error', reject);
+      this.controlServer.listen(this.controlPort, '127.0.0.1', () => resolve());
     });
   }
 
-  updateActivity() {
-    this.lastActivity = Date.now();
-    this.logger.debug(`Activity updated for session: ${this.sessionName}`);
-    
-    // Update session file
-    const sessionManager = new SessionManager(this.logger);
-    sessionManager.updateSessionActivity(this.sessionName);
-  }
-
-  startMonitoring() {
-    this.monitorTimer = setInterval(() => {
-      const idleTime = Date.now() - this.lastActivity;
-      
-      if (idleTime > this.timeoutMs) {
-        this.logger.warn(`Session '${this.sessionName}' idle for ${Math.round(idleTime / 1000 / 60)} minutes, shutting down...`);
-        this.shutdown();
-      } else {
-        this.logger.debug(`Session '${this.sessionName}' active, ${Math.round((this.timeoutMs - idleTime) / 1000 / 60)} minutes until timeout`);
-      }
-    }, this.checkInterval);
+  isAuthorized(token) {
+    if (typeof token !== 'string') {
+      return false;
+    }
+    // Compare byte lengths: multibyte characters make them differ from the string lengths
+    const given = Buffer.from(token);
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
   }
 
-  async shutdown() {
-    this.logger.info(`Shutting down session daemon: ${this.sessionName}`);
+  async handleControlMessage(socket, message) {
+    let request;
+    try {
+      request = JSON.parse(message);
+    } catch (error) {
+      socket.write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: `Parse error: ${error.message}` } }) + '\n');
+      return;
+    }
     
-    // Clear monitoring timer
-    if (this.monitorTimer) {
-      clearInterval(this.monitorTimer);
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      socket.write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid request: expected a JSON object' } }) + '\n');
+      return;
+    }
+    
+    const response = { jsonrpc: '2.0', id: request.id ?? null };
+    if (!this.isAuthorized(request.token)) {
+      this.logger.warn('Rejected control request with a missing or invalid token');
+      response.error = { code: -32001, message: 'Unauthorized: invalid session token' };
+      socket.end(JSON.stringify(response) + '\n');
+      return;
+    }
+    
+    try {
+      response.result = await this.dispatch(request.method, request.params || {}, socket);
+    } catch (error) {
+      response.error = { code: error.code || -32000, message: error.message };
+    }
+    
+    if (!socket.destroyed) {
+      socket.write(this.client.safeStringify(response) + '\n', () => {
+        // Reply before exiting so --stop knows the request arrived
+        if (request.method === 'shutdown') {
+          this.shutdown();
+        }
+      });
+    }
+  }
+
+  getStatus() {
+    return {
+      active: true,
+      lastActivity: this.lastActivity,
+      idleTimeoutMs: this.timeoutMs,
+      timeUntilShutdown: this.timeoutMs === null ? null : Math.max(0, this.timeoutMs - (Date.now() - this.lastActivity))
+    };
+  }
+
+  setIdleTimeout(timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    
+    const sessionManager = new SessionManager(this.logger);
+    sessionManager.updateSession(this.sessionName, { idleTimeoutMs: timeoutMs });
+    
+    // Restart the monitor so a shorter timeout is checked often enough
+    if (this.monitorTimer) {
+      clearInterval(this.monitorTimer);
+      this.monitorTimer = null;
+    }
+    this.startMonitoring();
+    
+    this.logger.info(timeoutMs === null
+      ? `Idle timeout disabled for session '${this.sessionName}'`
+      : `Idle timeout for session '${this.sessionName}' set to ${Math.round(timeoutMs / 1000)}s`);
+    return this.getStatus();
+  }
+
+  getCommandHandlers() {
+    return {
+      newTab: ({ url, options }) => this.client.newTab(url, this.sessionName, options),
+      listTabs: () => this.client.listTabs(this.sessionName),
+      switchTab: ({ tabId }) => this.client.switchTab(tabId, this.sessionName),
+      closeTab: ({ tabId }) => this.client.closeTab(tabId, this.sessionName),
+      navigate: ({ url, options }) => this.client.navigate(url, this.sessionName, options),
+      refresh: ({ options }) => this.client.refreshPage(this.sessionName, options),
+      wait: ({ options }) => this.client.waitForPage(options, this.sessionName),
+      click: ({ selector, options }) => this.client.click(selector, this.sessionName, options),
+      type: ({ selector, text, options }) => this.client.type(selector, text, this.sessionName, options),
+      press: ({ keys, options }) => this.client.press(keys, this.sessionName, options),
+      hover: ({ selector, options }) => this.client.hover(selector, this.sessionName, options),
+      select: ({ selector, values, options }) => this.client.select(selector, values, this.sessionName, options),
+      scroll: ({ target, options }) => this.client.scroll(target, this.sessionName, options),
+      execute: ({ code, options }) => this.client.executeJavaScript(code, this.sessionName, options),
+      view: ({ selector, options }) => this.client.viewElement(selector, this.sessionName, options),
+      read: ({ selector, options }) => this.client.readPage(selector, this.sessionName, options),
+      dom: ({ selector, options }) => this.client.captureDom(selector, this.sessionName, options),
+      selectors: ({ selector, options }) => this.client.analyzeSelectors(selector, this.sessionName, options),
+      locate: ({ query, options }) => this.client.locateElements(query, this.sessionName, options),
+      a11y: ({ selector, options }) => this.client.getAccessibilityTree(selector, this.sessionName, options),
+      forms: ({ selector, options }) => this.client.analyzeForms(selector, this.sessionName, options),
+      frames: () => this.client.listFrames(this.sessionName),
+      links: () => this.client.collectLinks(this.sessionName),
+      fill: ({ values, options }) => this.client.fillForm(values, this.sessionName, options),
+      screenshot: ({ filename }) => this.client.takeScreenshot(filename, this.sessionName),
+      exportStorage: ({ filename }) => this.client.exportStorageState(filename, this.sessionName),
+      importStorage: ({ filename }) => this.client.importStorageState(filename, this.sessionName)
+    };
+  }
+
+  // connection is the control socket the request came in on, if any
+  async dispatch(method, params, connection = null) {
+    if (method === 'status') {
+      return this.getStatus();
+    }
+    
+    this.updateActivity();
+    
+    if (method === 'ping') {
+      return 'pong';
+    } else if (method === 'shutdown') {
+      return { stopping: true };
+    } else if (method === 'setIdleTimeout') {
+      return this.setIdleTimeout(params.timeoutMs ?? null);
+    }
+    
+    const handler = this.getCommandHandlers()[method];
+    if (!handler) {
+      const error = new Error(`Unknown method: ${method}`);
+      error.code = -32601;
+      throw error;
+    }
+    
+    // Page commands run one at a time so concurrent clients don't interleave
+    let [started, finished] = [false, false];
+    const run = this.commandQueue.then(async () => {
+      if (connection?.destroyed) {
+        throw new Error('The client disconnected before the command ran');
+      }
+      started = true;
+      await this.client.ensureActivePage();
+      return handler(params);
+    });
+    run.then(() => { finished = true; }, () => { finished = true; });
+    
+    // A script whose promise never settles would hold the queue forever after its client gave up on it.
+    // When the client hangs up first, the script is stopped and the queue moves on without it
+    const abandoned = new Promise((resolve) => {
+      if (method !== 'execute' || !connection) return;
+      connection.once('close', () => {
+        if (!started || finished) return;
+        this.logger.warn('Client disconnected during --execute, stopping the script');
+        Promise.race([this.client.terminateExecution(), new Promise(done => setTimeout(done, 5000))])
+          .catch(error => this.logger.debug(`Could not stop the script: ${error.message}`))
+          .finally(resolve);
+      });
+    });
+    this.activeCommands++;
+    this.commandQueue = Promise.race([run, abandoned]).catch(() => {});
+    this.commandQueue.then(() => {
+      this.activeCommands--;
+      // Idle time counts from the end of a command, not its start
+      this.updateActivity();
+    });
+    return run;
+  }
+
+  updateActivity() {
+    this.lastActivity = Date.now();
+    this.logger.debug(`Activity updated for session: ${this.sessionName}`);
+    
+    // Update session file
+    const sessionManager = new SessionManager(this.logger);
+    sessionManager.updateSessionActivity(this.sessionName);
+  }
+
+  startMonitoring() {
+    if (this.timeoutMs === null) {
+      this.logger.debug(`Session '${this.sessionName}' has no idle timeout`);
+      return;
+    }
+    
+    // Short timeouts need more frequent checks than once a minute
+    const interval = Math.min(this.checkInterval, Math.max(1000, Math.floor(this.timeoutMs / 4)));
+    
+    this.monitorTimer = setInterval(() => {
+      const idleTime = Date.now() - this.lastActivity;
+      
+      if (this.activeCommands > 0) {
+        this.logger.debug(`Session '${this.sessionName}' is running a command`);
+      } else if (idleTime > this.timeoutMs) {
+        this.logger.warn(`Session '${this.sessionName}' idle for ${Math.round(idleTime / 1000 / 60)} minutes, shutting down...`);
+        this.shutdown();
+      } else {
+        this.logger.debug(`Session '${this.sessionName}' active, ${Math.round((this.timeoutMs - idleTime) / 1000 / 60)} minutes until timeout`);
+      }
+    }, interval);
+  }
+
+  async shutdown() {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+    
+    this.logger.info(`Shutting down session daemon: ${this.sessionName}`);
+    
+    // Clear monitoring timer
+    if (this.monitorTimer) {
+      clearInterval(this.monitorTimer);
     }
     
     // Close control server
@@ -330,15 +1031,25 @@ class SessionDaemon {
       this.controlServer.close();
     }
     
-    // Close browser
+    // Close browser, or just let go of one we attached to and don't own
     if (this.browser) {
       try {
-        await this.browser.close();
+        if (this.options.attachEndpoint) {
+          await this.browser.disconnect();
+        } else {
+          await this.browser.close();
+        }
       } catch (error) {
         this.logger.debug(`Error closing browser: ${error.message}`);
       }
     }
     
+    // Make sure the Chrome child is gone even if it ignored Browser.close
+    if (this.chromeProcess) {
+      const reaper = new ProcessReaper(this.logger);
+      await reaper.terminate(this.chromeProcess.pid);
+    }
+    
     // Delete session file
     const sessionManager = new SessionManager(this.logger);
     sessionManager.deleteSession(this.sessionName);
@@ -348,152 +1059,338 @@ class SessionDaemon {
   }
 }
 
+// Page load states accepted by --wait-until, in Puppeteer's naming
+const LOAD_STATES = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
 class WebSourceBrowser {
   constructor() {
     this.logger = new WebSourceLogger(DEBUG_MODE);
     this.sessionManager = new SessionManager(this.logger);
+    this.profileManager = new ProfileManager(this.logger);
+    this.configManager = new ConfigManager();
+    this.reaper = new ProcessReaper(this.logger);
     this.browser = null;
     this.page = null;
     this.currentUrl = null;
     this.currentSession = null;
+    this.tabIds = new WeakMap();
+    this.nextTabId = 1;
+    this.launchOptions = {};
   }
 
   async initialize() {
     // Simple initialization - specific messaging happens during session operations
   }
 
+  // Validate emulation settings for --start and drop the ones that weren't given
+  normalizeLaunchOptions(options = {}) {
+    const { viewport, deviceScaleFactor, device, userAgent, locale, timezone, colorScheme, proxy } = options;
+    const launchOptions = {};
+    
+    if (device) {
+      if (!KnownDevices[device]) {
+        throw new Error(`Unknown device '${device}'. Use a Puppeteer KnownDevices name such as 'iPhone 13' or 'Pixel 5'.`);
+      }
+      launchOptions.device = device;
+    }
+    
+    if (viewport) {
+      const width = parseInt(viewport.width);
+      const height = parseInt(viewport.height);
+      if (!(width > 0) || !(height > 0)) {
+        throw new Error('Viewport width and height must be positive numbers');
+      }
+      launchOptions.viewport = { width, height };
+    }
+    
+    if (deviceScaleFactor !== undefined && deviceScaleFactor !== null) {
+      if (!(deviceScaleFactor > 0)) {
+        throw new Error('Device scale factor must be a positive number');
+      }
+      launchOptions.deviceScaleFactor = deviceScaleFactor;
+    }
+    
+    if (userAgent) {
+      launchOptions.userAgent = userAgent;
+    }
+    
+    if (locale) {
+      try {
+        launchOptions.locale = Intl.getCanonicalLocales(locale)[0];
+      } catch (error) {
+        throw new Error(`Invalid locale '${locale}': ${error.message}`);
+      }
+    }
+    
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        throw new Error(`Invalid timezone '${timezone}'. Use an IANA name such as 'Europe/Paris'.`);
+      }
+      launchOptions.timezone = timezone;
+    }
+    
+    if (colorScheme) {
+      if (!['light', 'dark', 'no-preference'].includes(colorScheme)) {
+        throw new Error('Color scheme must be "light", "dark" or "no-preference"');
+      }
+      launchOptions.colorScheme = colorScheme;
+    }
+    
+    if (proxy) {
+      launchOptions.proxy = proxy;
+    }
+    
+    return launchOptions;
+  }
+
+  // Accepts minutes, a duration such as 90s, 45m or 2h, or "never"; returns milliseconds or null for never
+  parseIdleTimeout(value) {
+    if (value === 'never') {
+      return null;
+    }
+    
+    const match = /^(\d+(?:\.\d+)?)\s*(s|m|h)?$/.exec(String(value).trim());
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+    const timeoutMs = match ? Math.round(parseFloat(match[1]) * units[match[2] || 'm']) : NaN;
+    
+    if (!(timeoutMs >= 1000)) {
+      throw new Error(`Invalid idle timeout '${value}'. Use minutes (e.g. 30), a duration such as 90s, 45m or 2h, or "never".`);
+    }
+    return timeoutMs;
+  }
+
   async startSession(sessionName = 'default', options = {}) {
-    const { headless = true, waitTime = 2000 } = options;
+    // Settings from a config file preset (or the default preset) fill in whatever wasn't passed explicitly
+    const presetName = options.preset || this.configManager.getDefaults().preset;
+    options = this.configManager.applyPreset(options, presetName);
+    if (presetName) {
+      this.logger.info(`Using preset: ${presetName}`);
+    }
     
-    // Check if session already exists
-    if (this.sessionManager.sessionExists(sessionName)) {
-      const isActive = await this.sessionManager.isSessionActive(sessionName);
-      if (isActive) {
-        throw new Error(`Session '${sessionName}' already exists and is active`);
-      } else {
-        // Clean up stale session
-        this.sessionManager.deleteSession(sessionName);
-        this.logger.warn(`Cleaned up stale session: ${sessionName}`);
+    const { profile = null, idleTimeout = null } = options;
+    const headless = options.headless ?? true;
+    const launchOptions = this.normalizeLaunchOptions(options);
+    const idleTimeoutMs = idleTimeout !== null ? this.parseIdleTimeout(idleTimeout) : undefined;
+    
+    if (profile) {
+      this.profileManager.validateProfileName(profile);
+      const owner = await this.findProfileSession(profile);
+      if (owner) {
+        throw new Error(`Profile '${profile}' is already in use by session '${owner}'`);
       }
     }
     
+    await this.ensureSessionAvailable(sessionName);
+    
     this.logger.info(`Starting new session daemon: ${sessionName}`);
     
     try {
-      // Spawn daemon as detached background process
-      const daemonProcess = spawn(process.argv[0], [process.argv[1]], {
-        detached: true,
-        stdio: 'ignore',
-        env: {
-          ...process.env,
-          WEBSOURCE_BROWSER_DAEMON: 'true',
-          WEBSOURCE_BROWSER_SESSION_NAME: sessionName,
-          WEBSOURCE_BROWSER_HEADLESS: headless.toString()
-        }
+      return await this.spawnDaemon(sessionName, {
+        WEBSOURCE_BROWSER_HEADLESS: headless.toString(),
+        WEBSOURCE_BROWSER_LAUNCH_OPTIONS: JSON.stringify(launchOptions),
+        WEBSOURCE_BROWSER_PROFILE: profile || '',
+        WEBSOURCE_BROWSER_IDLE_TIMEOUT: idleTimeoutMs === undefined ? '' : String(idleTimeoutMs ?? 'never')
       });
-      
-      // Unref so parent can exit
-      daemonProcess.unref();
-      
-      // Wait for daemon to start and create session file
-      let attempts = 0;
-      const maxAttempts = 60; // Increased to 60 seconds
-      while (attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        if (this.sessionManager.sessionExists(sessionName)) {
-          const session = this.sessionManager.getSession(sessionName);
-          if (session && session.controlPort) {
-            this.logger.success(`New session '${sessionName}' created and ready`);
-            return { success: true, sessionName, pid: session.pid, controlPort: session.controlPort };
-          }
-        }
-        attempts++;
-      }
-      
-      throw new Error('Daemon failed to start within timeout period');
-      
     } catch (error) {
       throw new Error(`Failed to start session daemon '${sessionName}': ${error.message}`);
     }
   }
 
-  async connectToSession(sessionName = 'default') {
-    const session = this.sessionManager.getSession(sessionName);
-    if (!session) {
-      throw new Error(`Session '${sessionName}' does not exist. Use --start to create a session first.`);
+  // Register a session for a browser that is already running (Chrome with --remote-debugging-port, Electron, ...)
+  async attachSession(sessionName = 'default', endpoint, options = {}) {
+    const { idleTimeout = null } = options;
+    const idleTimeoutMs = idleTimeout !== null ? this.parseIdleTimeout(idleTimeout) : undefined;
+    const wsEndpoint = await this.resolveBrowserEndpoint(endpoint);
+    
+    await this.ensureSessionAvailable(sessionName);
+    
+    const owner = this.sessionManager.listSessions().find(session => session.wsEndpoint === wsEndpoint);
+    if (owner && await this.sessionManager.isSessionActive(owner.name)) {
+      throw new Error(`Browser ${wsEndpoint} is already attached as session '${owner.name}'`);
     }
     
-    this.logger.info(`Connecting to existing session: ${sessionName}`);
+    this.logger.info(`Attaching session '${sessionName}' to ${wsEndpoint}`);
     
-    // Ping daemon to update activity and verify it's still alive
-    await this.pingDaemon(sessionName);
+    try {
+      return await this.spawnDaemon(sessionName, {
+        WEBSOURCE_BROWSER_ATTACH: wsEndpoint,
+        WEBSOURCE_BROWSER_IDLE_TIMEOUT: idleTimeoutMs === undefined ? '' : String(idleTimeoutMs ?? 'never')
+      });
+    } catch (error) {
+      throw new Error(`Failed to attach session '${sessionName}': ${error.message}`);
+    }
+  }
+
+  // Accepts a ws:// endpoint, a port, host:port or an http:// debugging URL
+  async resolveBrowserEndpoint(endpoint) {
+    if (!endpoint) {
+      throw new Error('A browser WebSocket endpoint or debugging port is required');
+    }
+    if (/^wss?:\/\//.test(endpoint)) {
+      return endpoint;
+    }
     
-    const isActive = await this.sessionManager.isSessionActive(sessionName);
-    if (!isActive) {
-      this.sessionManager.deleteSession(sessionName);
-      throw new Error(`Session '${sessionName}' is no longer active. Use --start to create a new session.`);
+    let baseUrl = endpoint;
+    if (/^\d+$/.test(endpoint)) {
+      baseUrl = `http://127.0.0.1:${endpoint}`;
+    } else if (!/^https?:\/\//.test(endpoint)) {
+      baseUrl = `http://${endpoint}`;
     }
     
     try {
-      this.browser = await puppeteer.connect({ browserWSEndpoint: session.wsEndpoint });
-      const pages = await this.browser.pages();
-      this.page = pages[0] || await this.browser.newPage();
-      this.currentSession = session;
-      
-      // Get current URL from the page
-      let currentUrl = 'about:blank';
-      try {
-        currentUrl = await this.page.evaluate(() => window.location.href);
-      } catch (error) {
-        // If we can't get the URL, use the stored one or fallback
-        currentUrl = session.currentUrl || 'about:blank';
+      const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/json/version`);
+      const data = await response.json();
+      if (!data.webSocketDebuggerUrl) {
+        throw new Error('no webSocketDebuggerUrl in /json/version');
       }
-      
-      this.logger.success(`Connected to session: ${sessionName}`);
-      this.logger.info(`Current page: ${currentUrl}`);
-      
-      return true;
+      return data.webSocketDebuggerUrl;
     } catch (error) {
-      this.sessionManager.deleteSession(sessionName);
-      throw new Error(`Failed to connect to session '${sessionName}': ${error.message}`);
+      throw new Error(`Could not find a browser debugging endpoint at ${baseUrl}: ${error.message}`);
     }
   }
 
-  async pingDaemon(sessionName) {
-    const session = this.sessionManager.getSession(sessionName);
-    if (!session || !session.controlPort) {
-      throw new Error(`Session '${sessionName}' has no control port`);
+  async ensureSessionAvailable(sessionName) {
+    if (!this.sessionManager.sessionExists(sessionName)) {
+      return;
+    }
+    
+    const isActive = await this.sessionManager.isSessionActive(sessionName);
+    if (isActive) {
+      throw new Error(`Session '${sessionName}' already exists and is active`);
     }
+    
+    // Clean up stale session, including any processes it left behind
+    await this.terminateSessionProcesses(sessionName);
+    this.sessionManager.deleteSession(sessionName);
+    this.logger.warn(`Cleaned up stale session: ${sessionName}`);
+  }
 
-    return new Promise((resolve, reject) => {
-      const socket = createConnection(session.controlPort, 'localhost');
-      
-      let responded = false;
-      const timeout = setTimeout(() => {
-        if (!responded) {
-          socket.destroy();
-          reject(new Error('Daemon ping timeout'));
+  async spawnDaemon(sessionName, env) {
+    // Spawn daemon as detached background process
+    // The marker argument lets --prune find the daemon if its session file is lost
+    const daemonProcess = spawn(process.argv[0], [process.argv[1], `--websource-browser-daemon=${encodeURIComponent(sessionName)}`], {
+      detached: true,
+      stdio: 'ignore',
+      env: {
+        ...process.env,
+        WEBSOURCE_BROWSER_DAEMON: 'true',
+        WEBSOURCE_BROWSER_SESSION_NAME: sessionName,
+        ...env
+      }
+    });
+    
+    // Unref so parent can exit
+    daemonProcess.unref();
+    
+    // Wait for daemon to start and create session file
+    let attempts = 0;
+    const maxAttempts = 60; // Increased to 60 seconds
+    while (attempts < maxAttempts) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (this.sessionManager.sessionExists(sessionName)) {
+        const session = this.sessionManager.getSession(sessionName);
+        if (session && session.controlPort) {
+          this.logger.success(`New session '${sessionName}' created and ready`);
+          return { success: true, sessionName, pid: session.pid, controlPort: session.controlPort };
         }
-      }, 5000);
-      
-      socket.on('connect', () => {
-        socket.write('ping\n');
-      });
-      
-      socket.on('data', (data) => {
-        if (data.toString().trim() === 'pong') {
-          responded = true;
-          clearTimeout(timeout);
-          socket.end();
-          resolve();
+      }
+      attempts++;
+    }
+    
+    throw new Error('Daemon failed to start within timeout period');
+  }
+
+  // Used by the session daemon to run commands against its own browser connection
+  async attachToBrowser(browser, sessionName, launchOptions = {}) {
+    this.browser = browser;
+    this.launchOptions = launchOptions;
+    const pages = await this.browser.pages();
+    this.currentSession = { name: sessionName };
+    
+    for (const page of pages) {
+      await this.applyLaunchOptions(page);
+    }
+    
+    // Emulation settings are per page, so apply them to tabs and popups as they open
+    this.browser.on('targetcreated', async (target) => {
+      if (target.type() !== 'page') return;
+      try {
+        const page = await target.page();
+        if (page) {
+          await this.applyLaunchOptions(page);
         }
-      });
-      
-      socket.on('error', (err) => {
-        clearTimeout(timeout);
-        reject(err);
-      });
+      } catch (error) {
+        this.logger.debug(`Could not apply launch options to new tab: ${error.message}`);
+      }
     });
+    
+    this.setActivePage(pages[0] || await this.browser.newPage());
+  }
+
+  async applyLaunchOptions(page) {
+    const { device, viewport, deviceScaleFactor, userAgent, locale, timezone, colorScheme } = this.launchOptions;
+    
+    if (device) {
+      await page.emulate(KnownDevices[device]);
+    }
+    
+    if (viewport || deviceScaleFactor) {
+      await page.setViewport({
+        ...(page.viewport() || { width: 800, height: 600 }),
+        ...(viewport || {}),
+        ...(deviceScaleFactor ? { deviceScaleFactor } : {})
+      });
+    }
+    
+    if (userAgent) {
+      await page.setUserAgent(userAgent);
+    }
+    
+    if (locale) {
+      // The CDP session must stay attached or the override is dropped
+      const cdp = await page.createCDPSession();
+      await cdp.send('Emulation.setLocaleOverride', { locale });
+      await page.setExtraHTTPHeaders({ 'Accept-Language': locale });
+    }
+    
+    if (timezone) {
+      await page.emulateTimezone(timezone);
+    }
+    
+    if (colorScheme) {
+      await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: colorScheme }]);
+    }
+  }
+
+  isAttachedTo(sessionName) {
+    return this.browser !== null && this.currentSession?.name === sessionName;
+  }
+
+  // Forward a command to the session daemon, which holds the live browser connection
+  async sendCommand(sessionName, method, params = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
+    if (!this.sessionManager.sessionExists(sessionName)) {
+      throw new Error(`Session '${sessionName}' does not exist. Use --start to create a session first.`);
+    }
+    
+    this.logger.debug(`Sending '${method}' to session daemon: ${sessionName}`);
+    
+    try {
+      return await this.sessionManager.sendRequest(sessionName, method, params, timeoutMs);
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET') {
+        throw new Error(`Session '${sessionName}' is no longer active. Use --start to create a new session or --prune to clean up.`);
+      }
+      throw error;
+    }
+  }
+
+  async pingDaemon(sessionName) {
+    const response = await this.sessionManager.sendRequest(sessionName, 'ping', {}, 5000);
+    if (response !== 'pong') {
+      throw new Error(`Unexpected ping response from session '${sessionName}'`);
+    }
   }
 
   async stopSession(sessionName = 'default') {
@@ -503,12 +1400,17 @@ class WebSourceBrowser {
     }
     
     try {
-      // Try to connect and close gracefully
-      const browser = await puppeteer.connect({ browserWSEndpoint: session.wsEndpoint });
-      await browser.close();
-      this.logger.success(`Session '${sessionName}' stopped gracefully`);
+      // Ask the daemon to close its browser and exit
+      await this.sessionManager.sendRequest(sessionName, 'shutdown', {}, 10000);
+      if (!await this.reaper.waitForExit(session.pid, 10000)) {
+        throw new Error('daemon did not exit');
+      }
+      this.logger.success(session.attached
+        ? `Session '${sessionName}' detached; the browser keeps running`
+        : `Session '${sessionName}' stopped gracefully`);
     } catch (error) {
       this.logger.warn(`Could not gracefully stop session '${sessionName}': ${error.message}`);
+      await this.terminateSessionProcesses(sessionName);
     }
     
     // Remove session file
@@ -524,40 +1426,422 @@ class WebSourceBrowser {
     return { success: true, sessionName };
   }
 
+  async terminateSessionProcesses(sessionName) {
+    const terminated = [];
+    for (const proc of this.reaper.listToolProcesses()) {
+      if (proc.session !== sessionName) continue;
+      if (await this.reaper.terminate(proc.pid)) {
+        this.logger.info(`Terminated ${proc.kind} process ${proc.pid} of session '${sessionName}'`);
+        terminated.push(proc);
+      } else {
+        this.logger.warn(`Could not terminate ${proc.kind} process ${proc.pid} of session '${sessionName}'`);
+      }
+    }
+    return terminated;
+  }
+
+  // Find stale session files, orphaned daemons and browsers, and ports they still hold; clean them up when prune is set
+  async checkSessions(prune = false) {
+    const healthy = new Set();
+    const staleSessions = [];
+    
+    for (const session of this.sessionManager.listSessions()) {
+      if (await this.sessionManager.isSessionActive(session.name)) {
+        healthy.add(session.name);
+      } else {
+        staleSessions.push({
+          ...session,
+          reason: this.reaper.isAlive(session.pid) ? 'daemon not responding' : 'daemon not running'
+        });
+      }
+    }
+    
+    // Processes from a session that is still starting have no session file yet, so leave young ones alone
+    const orphanedProcesses = this.reaper.listToolProcesses()
+      .filter(proc => !healthy.has(proc.session))
+      .filter(proc => staleSessions.some(session => session.name === proc.session) || proc.ageSeconds > 60);
+    
+    const actions = [];
+    if (prune) {
+      for (const proc of orphanedProcesses) {
+        const stopped = await this.reaper.terminate(proc.pid);
+        actions.push(`${stopped ? 'Terminated' : 'Failed to terminate'} ${proc.kind} process ${proc.pid} (session '${proc.session}')`);
+      }
+      for (const session of staleSessions) {
+        this.sessionManager.deleteSession(session.name);
+        actions.push(`Removed stale session file '${session.name}' (${session.reason})`);
+      }
+    }
+    
+    const leakedPorts = [];
+    for (const session of staleSessions) {
+      for (const [kind, port] of [['control', session.controlPort], ['debug', session.debugPort]]) {
+        if (port && await this.reaper.isPortInUse(port)) {
+          leakedPorts.push({ session: session.name, kind, port });
+        }
+      }
+    }
+    
+    return {
+      success: true,
+      pruned: prune,
+      healthySessions: Array.from(healthy),
+      staleSessions: staleSessions.map(({ name, pid, reason }) => ({ name, pid, reason })),
+      orphanedProcesses: orphanedProcesses.map(({ pid, kind, session }) => ({ pid, kind, session })),
+      leakedPorts,
+      actions
+    };
+  }
+
   async listSessions() {
     const sessions = this.sessionManager.listSessions();
     const activeStatuses = await Promise.all(
-      sessions.map(async (session) => ({
-        ...session,
-        active: await this.sessionManager.isSessionActive(session.name)
-      }))
+      sessions.map(async (session) => {
+        try {
+          const status = await this.sessionManager.sendRequest(session.name, 'status', {}, 5000);
+          return {
+            ...session,
+            active: status.active === true,
+            idleTimeoutMs: status.idleTimeoutMs,
+            timeUntilShutdown: status.timeUntilShutdown
+          };
+        } catch (error) {
+          this.logger.debug(`Session ${session.name} appears inactive: ${error.message}`);
+          return { ...session, active: false };
+        }
+      })
     );
     
     return activeStatuses;
   }
 
-  async navigate(url, sessionName = 'default', options = {}) {
-    const { waitTime = 2000 } = options;
-    
-    // Require active session
-    if (!this.currentSession || this.currentSession.name !== sessionName) {
-      await this.connectToSession(sessionName);
+  // Reset the idle timer without running a page command
+  async keepAlive(sessionName = 'default') {
+    await this.sendCommand(sessionName, 'ping');
+    const status = await this.sendCommand(sessionName, 'status');
+    return { success: true, sessionName, ...status };
+  }
+
+  async setIdleTimeout(idleTimeout, sessionName = 'default') {
+    const timeoutMs = this.parseIdleTimeout(idleTimeout);
+    const status = await this.sendCommand(sessionName, 'setIdleTimeout', { timeoutMs });
+    return { success: true, sessionName, ...status };
+  }
+
+  getTabId(page) {
+    if (!this.tabIds.has(page)) {
+      this.tabIds.set(page, this.nextTabId++);
     }
-    
-    if (!this.page) {
-      throw new Error('No active page. Session may have been corrupted.');
+    return this.tabIds.get(page);
+  }
+
+  setActivePage(page) {
+    this.page = page;
+    if (this.currentSession) {
+      this.sessionManager.updateSession(this.currentSession.name, { activeTab: this.getTabId(page) });
+    }
+  }
+
+  // Fall back to another tab if the active one was closed (e.g. a popup calling window.close())
+  async ensureActivePage() {
+    if (this.page && !this.page.isClosed()) {
+      return;
     }
     
-    this.logger.info(`Navigating to: ${url}`);
+    const pages = await this.browser.pages();
+    this.setActivePage(pages[0] || await this.browser.newPage());
+    this.logger.warn(`Active tab was closed, switched to tab ${this.getTabId(this.page)}`);
+  }
+
+  async describeTab(page) {
+    let title = '';
+    try {
+      title = await page.title();
+    } catch (error) {
+      this.logger.debug(`Could not read tab title: ${error.message}`);
+    }
+    
+    return {
+      id: this.getTabId(page),
+      url: page.url(),
+      title: title,
+      active: page === this.page
+    };
+  }
+
+  async findTab(tabId) {
+    const pages = await this.browser.pages();
+    const page = pages.find(p => this.getTabId(p) === tabId);
+    if (!page) {
+      throw new Error(`Tab not found: ${tabId}`);
+    }
+    return page;
+  }
+
+  async listTabs(sessionName = 'default') {
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'listTabs');
+    }
+    
+    const pages = await this.browser.pages();
+    const tabs = await Promise.all(pages.map(page => this.describeTab(page)));
+    
+    return { success: true, tabs };
+  }
+
+  async newTab(url = null, sessionName = 'default', options = {}) {
+    if (url) {
+      options = this.normalizeWaitOptions(options);
+    }
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'newTab', { url, options });
+    }
+    
+    const page = await this.browser.newPage();
+    await this.applyLaunchOptions(page);
+    this.setActivePage(page);
+    this.logger.success(`Opened tab ${this.getTabId(page)}`);
+    
+    let navigation = null;
+    if (url) {
+      navigation = await this.navigate(url, sessionName, options);
+    }
+    
+    return { success: true, tab: await this.describeTab(page), pageInfo: navigation?.pageInfo || null, wait: navigation?.wait || null };
+  }
+
+  async switchTab(tabId, sessionName = 'default') {
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'switchTab', { tabId });
+    }
+    
+    const page = await this.findTab(tabId);
+    await page.bringToFront();
+    this.setActivePage(page);
+    this.sessionManager.updateSession(sessionName, { currentUrl: page.url() });
+    this.currentUrl = page.url();
+    
+    this.logger.success(`Switched to tab ${tabId}`);
+    return { success: true, tab: await this.describeTab(page) };
+  }
+
+  async closeTab(tabId = null, sessionName = 'default') {
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'closeTab', { tabId });
+    }
+    
+    const page = tabId === null ? this.page : await this.findTab(tabId);
+    const pages = await this.browser.pages();
+    if (pages.length <= 1) {
+      throw new Error('Cannot close the last tab in a session. Use --stop to end the session.');
+    }
+    
+    const closedId = this.getTabId(page);
+    await page.close();
+    
+    if (page === this.page) {
+      const remaining = await this.browser.pages();
+      this.setActivePage(remaining[0]);
+    }
+    
+    this.logger.success(`Closed tab ${closedId}`);
+    return { success: true, closed: closedId, activeTab: await this.describeTab(this.page) };
+  }
+
+  // Chrome allows only one running instance per profile directory
+  async findProfileSession(profileName) {
+    for (const session of this.sessionManager.listSessions()) {
+      if (session.profile === profileName && await this.sessionManager.isSessionActive(session.name)) {
+        return session.name;
+      }
+    }
+    return null;
+  }
+
+  async listProfiles() {
+    const sessions = this.sessionManager.listSessions();
+    return this.profileManager.listProfiles().map(profile => ({
+      ...profile,
+      sessions: sessions.filter(session => session.profile === profile.name).map(session => session.name)
+    }));
+  }
+
+  async cloneProfile(sourceName, targetName) {
+    if (await this.findProfileSession(sourceName)) {
+      this.logger.warn(`Profile '${sourceName}' is in use; the copy may miss data Chrome has not flushed yet`);
+    }
+    
+    const path = this.profileManager.cloneProfile(sourceName, targetName);
+    this.logger.success(`Profile '${sourceName}' cloned to '${targetName}'`);
+    return { success: true, profile: targetName, path };
+  }
+
+  async deleteProfile(profileName) {
+    const owner = await this.findProfileSession(profileName);
+    if (owner) {
+      throw new Error(`Profile '${profileName}' is in use by session '${owner}'. Stop the session first.`);
+    }
+    
+    if (!this.profileManager.deleteProfile(profileName)) {
+      throw new Error(`Profile '${profileName}' does not exist`);
+    }
+    
+    this.logger.success(`Profile '${profileName}' deleted`);
+    return { success: true, profile: profileName };
+  }
+
+  // Validate wait conditions and fill in defaults on the client, so the config file of the caller applies
+  normalizeWaitOptions(options = {}) {
+    const {
+      waitUntil = null,
+      waitForSelector = null,
+      visible = false,
+      waitForFunction = null,
+      waitForUrl = null
+    } = options;
+    
+    if (waitUntil !== null && !LOAD_STATES.includes(waitUntil)) {
+      throw new Error(`Invalid load state '${waitUntil}'. Use one of: ${LOAD_STATES.join(', ')}`);
+    }
+    if (visible && !waitForSelector) {
+      throw new Error('visible requires a selector to wait for');
+    }
+    if (waitForUrl) {
+      this.createUrlMatcher(waitForUrl);
+    }
+    
+    const timeouts = {};
+    for (const key of ['loadTimeout', 'selectorTimeout', 'functionTimeout', 'urlTimeout']) {
+      const timeout = options[key] ?? null;
+      if (timeout !== null && !(Number.isInteger(timeout) && timeout > 0)) {
+        throw new Error(`${key} must be a positive number of milliseconds`);
+      }
+      timeouts[key] = timeout;
+    }
+    
+    // A fixed settle time is only useful when nothing more specific is waited for
+    const hasConditions = Boolean(waitForSelector || waitForFunction || waitForUrl);
+    const waitTime = options.waitTime ?? (hasConditions ? 0 : this.configManager.getDefaults().waitTime);
+    
+    return { waitUntil, waitForSelector, visible: Boolean(visible), waitForFunction, waitForUrl, ...timeouts, waitTime };
+  }
+
+  // A /regex/flags pattern, a glob with * wildcards matched against the whole URL, or a plain substring.
+  // Paths such as /docs/ or /docs/changelog look like regexes too, so those without regex syntax or flags are substrings
+  createUrlMatcher(pattern) {
+    const regexMatch = /^\/(.+)\/([dgimsuvy]*)$/.exec(pattern);
+    if (regexMatch && (regexMatch[2] || /[\\^$.*+?()[\]{}|]/.test(regexMatch[1]))) {
+      try {
+        const regex = new RegExp(regexMatch[1], regexMatch[2]);
+        return (url) => regex.test(url);
+      } catch (error) {
+        throw new Error(`Invalid URL pattern ${pattern}: ${error.message}`);
+      }
+    }
+    
+    if (pattern.includes('*')) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      const regex = new RegExp(`^${source}$`);
+      return (url) => regex.test(url);
+    }
+    
+    return (url) => url.includes(pattern);
+  }
+
+  // Wait for every requested condition in parallel and report how long each one took
+  async waitForConditions(wait) {
+    const conditions = [];
+    
+    if (wait.waitForSelector) {
+      const timeout = wait.selectorTimeout ?? 30000;
+      conditions.push({
+        type: wait.visible ? 'visible' : 'selector',
+        value: wait.waitForSelector,
+        timeout,
+        run: () => this.waitForElement(wait.waitForSelector, { visible: wait.visible, timeout })
+      });
+    }
+    
+    if (wait.waitForFunction) {
+      const timeout = wait.functionTimeout ?? 30000;
+      conditions.push({
+        type: 'function',
+        value: wait.waitForFunction,
+        timeout,
+        run: () => this.page.waitForFunction(wait.waitForFunction, { timeout })
+      });
+    }
+    
+    if (wait.waitForUrl) {
+      const timeout = wait.urlTimeout ?? 30000;
+      const matches = this.createUrlMatcher(wait.waitForUrl);
+      conditions.push({
+        type: 'url',
+        value: wait.waitForUrl,
+        timeout,
+        // Polled from here because the page context is replaced on every navigation
+        run: async () => {
+          const deadline = Date.now() + timeout;
+          while (!matches(this.page.url())) {
+            if (Date.now() >= deadline) {
+              throw new Error(`current URL is ${this.page.url()}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+          }
+        }
+      });
+    }
+    
+    const startTime = Date.now();
+    return Promise.all(conditions.map(async ({ type, value, timeout, run }) => {
+      this.logger.debug(`Waiting for ${type}: ${value}`);
+      try {
+        await run();
+      } catch (error) {
+        if (error.retryable === false) {
+          throw new Error(`Cannot wait for ${type} ${value}: ${error.message}`);
+        }
+        throw new Error(`Timed out after ${timeout}ms waiting for ${type} ${value} (${error.message})`);
+      }
+      return { type, value, resolved: true, elapsedMs: Date.now() - startTime };
+    }));
+  }
+
+  async navigate(url, sessionName = 'default', options = {}) {
+    const wait = this.normalizeWaitOptions(options);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'navigate', { url, options: wait });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active page. Session may have been corrupted.');
+    }
+    
+    this.logger.info(`Navigating to: ${url}`);
     
     try {
+      const startTime = Date.now();
+      const waitUntil = wait.waitUntil || 'domcontentloaded';
+      const loadTimeout = wait.loadTimeout ?? 30000;
+      
       // Navigate to the URL
-      await this.page.goto(url, { 
-        waitUntil: 'domcontentloaded', 
-        timeout: 30000 
+      const response = await this.page.goto(url, { 
+        waitUntil, 
+        timeout: loadTimeout 
       });
+      const resolved = [{ type: 'load', value: waitUntil, resolved: true, elapsedMs: Date.now() - startTime }];
+      
+      resolved.push(...await this.waitForConditions(wait));
       
       // Wait for specified time for page to settle
+      const { waitTime } = wait;
       if (waitTime > 0) {
         this.logger.debug(`Waiting ${waitTime}ms for page to settle...`);
         await new Promise(resolve => setTimeout(resolve, waitTime));
@@ -576,7 +1860,7 @@ class WebSourceBrowser {
         const allElements = Array.from(document.querySelectorAll('*'));
         const tagCounts = {};
         const idSelectors = [];
-        const classSelectors = [];
+        const classSelectors = new Set();
         
         allElements.forEach(el => {
           // Count tag types
@@ -585,17 +1869,14 @@ class WebSourceBrowser {
           
           // Collect IDs
           if (el.id) {
-            idSelectors.push(`#${el.id}`);
+            idSelectors.push(`#${CSS.escape(el.id)}`);
           }
           
           // Collect classes
           if (el.className && typeof el.className === 'string') {
             el.className.split(' ').forEach(cls => {
               if (cls.trim()) {
-                const selector = `.${cls.trim()}`;
-                if (!classSelectors.includes(selector)) {
-                  classSelectors.push(selector);
-                }
+                classSelectors.add(`.${CSS.escape(cls.trim())}`);
               }
             });
           }
@@ -610,7 +1891,7 @@ class WebSourceBrowser {
             'form', 'input', 'button', 'textarea', 'select'
           ].filter(tag => tagCounts[tag]),
           idSelectors: idSelectors.sort(),
-          classSelectors: classSelectors.sort()
+          classSelectors: Array.from(classSelectors).sort()
         };
         
         return { pageInfo, selectors };
@@ -626,7 +1907,9 @@ class WebSourceBrowser {
       return { 
         success: true, 
         pageInfo: pageData.pageInfo, 
-        selectors: pageData.selectors 
+        status: response ? response.status() : null,
+        selectors: pageData.selectors,
+        wait: { conditions: resolved, totalMs: Date.now() - startTime }
       };
       
     } catch (error) {
@@ -635,24 +1918,46 @@ class WebSourceBrowser {
   }
 
   async refreshPage(sessionName = 'default', options = {}) {
-    const { waitTime = 2000 } = options;
+    const wait = this.normalizeWaitOptions(options);
     
-    this.logger.info('Refreshing current page...');
-    
-    // Require active session
-    if (!this.currentSession || this.currentSession.name !== sessionName) {
-      await this.connectToSession(sessionName);
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'refresh', { options: wait });
     }
     
+    this.logger.info('Refreshing current page...');
+    
     if (!this.page) {
       throw new Error('No active session. Use --start to create a session first.');
     }
     
+    const startTime = Date.now();
+    let waitUntil = wait.waitUntil || 'networkidle0';
+    
     try {
       // Refresh the page with more robust options
-      await this.page.reload({ waitUntil: 'networkidle0', timeout: 15000 });
+      await this.page.reload({ waitUntil, timeout: wait.loadTimeout ?? 15000 });
+    } catch (error) {
+      // networkidle0 never settles on pages that keep polling; only fall back when no load state was asked for
+      if (wait.waitUntil) {
+        throw new Error(`Failed to refresh page: ${error.message}`);
+      }
+      
+      try {
+        this.logger.warn(`Standard reload failed, trying simple reload: ${error.message}`);
+        waitUntil = 'load';
+        await this.page.reload({ timeout: 10000 });
+      } catch (fallbackError) {
+        throw new Error(`Failed to refresh page: ${fallbackError.message}`);
+      }
+    }
+    
+    try {
+      const resolved = [{ type: 'load', value: waitUntil, resolved: true, elapsedMs: Date.now() - startTime }];
+      resolved.push(...await this.waitForConditions(wait));
       
       // Wait for specified time for page to settle
+      const { waitTime } = wait;
       if (waitTime > 0) {
         this.logger.debug(`Waiting ${waitTime}ms for page to settle after refresh...`);
         await new Promise(resolve => setTimeout(resolve, waitTime));
@@ -674,413 +1979,3346 @@ class WebSourceBrowser {
       this.logger.success(`Page refreshed successfully: ${pageInfo.title}`);
       this.logger.debug(`Current URL: ${pageInfo.url}`);
       
-      return { success: true, pageInfo };
+      return { success: true, pageInfo, wait: { conditions: resolved, totalMs: Date.now() - startTime } };
       
     } catch (error) {
-      // If networkidle0 fails, try a simpler approach
-      try {
-        this.logger.warn(`Standard reload failed, trying simple reload: ${error.message}`);
-        await this.page.reload({ timeout: 10000 });
-        
-        // Wait for page to settle
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        
-        // Get page information
-        const pageInfo = await this.page.evaluate(() => {
-          return {
-            url: window.location.href,
-            title: document.title,
-            ready: document.readyState === 'complete'
-          };
-        });
-        
-        // Update session with current URL
-        this.sessionManager.updateSession(sessionName, { currentUrl: pageInfo.url });
-        this.currentUrl = pageInfo.url;
-        
-        this.logger.success(`Page refreshed successfully (simple reload): ${pageInfo.title}`);
-        return { success: true, pageInfo };
-        
-      } catch (fallbackError) {
-        throw new Error(`Failed to refresh page: ${fallbackError.message}`);
-      }
+      throw new Error(`Failed to refresh page: ${error.message}`);
     }
   }
 
-  async analyzeSelectors(selector = null, sessionName = 'default') {
-    this.logger.debug(`Analyzing selectors: ${selector || 'top level'}`);
+  // Wait for a selector, function or URL on the current page without navigating
+  async waitForPage(options = {}, sessionName = 'default') {
+    const wait = this.normalizeWaitOptions({ ...options, waitTime: options.waitTime ?? 0 });
+    if (!wait.waitForSelector && !wait.waitForFunction && !wait.waitForUrl) {
+      throw new Error('Nothing to wait for. Give a selector, function or URL');
+    }
     
-    // Require active session
-    if (!this.currentSession || this.currentSession.name !== sessionName) {
-      await this.connectToSession(sessionName);
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'wait', { options: wait });
     }
     
     if (!this.page) {
       throw new Error('No active session. Use --start to create a session first.');
     }
     
-    try {
-      if (!selector) {
-        // Return top-level page structure analysis
-        const pageAnalysis = await this.page.evaluate(() => {
-          const allElements = Array.from(document.querySelectorAll('*'));
-          const tagCounts = {};
-          const idSelectors = [];
-          const classSelectors = [];
-          
-          allElements.forEach(el => {
-            // Count tag types
-            const tag = el.tagName.toLowerCase();
-            tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-            
-            // Collect IDs
-            if (el.id) {
-              idSelectors.push(`#${el.id}`);
-            }
-            
-            // Collect classes
-            if (el.className && typeof el.className === 'string') {
-              el.className.split(' ').forEach(cls => {
-                if (cls.trim()) {
-                  const selector = `.${cls.trim()}`;
-                  if (!classSelectors.includes(selector)) {
-                    classSelectors.push(selector);
-                  }
-                }
-              });
-            }
-          });
-          
-          return {
-            totalElements: allElements.length,
-            tagTypes: Object.keys(tagCounts).sort(),
-            tagCounts: tagCounts,
-            idSelectors: idSelectors,
-            classSelectors: classSelectors.sort(),
-            commonSelectors: [
-              'body', 'main', 'header', 'footer', 'nav', 'section', 'article',
-              'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-              'a', 'img', 'ul', 'ol', 'li', 'table', 'tr', 'td', 'th',
-              'form', 'input', 'button', 'textarea', 'select'
-            ].filter(tag => tagCounts[tag])
-          };
-        });
-        return { success: true, analysis: pageAnalysis };
-        
-      } else {
-        // Analyze elements within the given selector
-        const selectorAnalysis = await this.page.evaluate((sel) => {
-          const parentElement = document.querySelector(sel);
-          if (!parentElement) {
-            return { found: false };
-          }
-          
-          const children = Array.from(parentElement.children);
-          const descendants = Array.from(parentElement.querySelectorAll('*'));
-          
-          const childSelectors = children.map((child, index) => {
-            const tagName = child.tagName.toLowerCase();
-            const id = child.id ? `#${child.id}` : null;
-            const classes = child.className && typeof child.className === 'string' 
-              ? child.className.split(' ').filter(c => c.trim()).map(c => `.${c}`) 
-              : [];
-            
-            return {
-              index: index,
-              tagName: tagName,
-              selector: `${sel} > ${tagName}:nth-child(${index + 1})`,
-              id: id,
-              classes: classes,
-              textContent: child.textContent,
-              hasChildren: child.children.length > 0,
-              childCount: child.children.length
-            };
-          });
-          
-          return {
-            found: true,
-            parentSelector: sel,
-            parentTag: parentElement.tagName.toLowerCase(),
-            directChildren: children.length,
-            totalDescendants: descendants.length,
-            childSelectors: childSelectors
-          };
-        }, selector);
-        
-        if (!selectorAnalysis.found) {
-          return { success: false, error: `Element not found: ${selector}` };
-        }
-        
-        return { success: true, analysis: selectorAnalysis };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
+    const startTime = Date.now();
+    const conditions = await this.waitForConditions(wait);
+    if (wait.waitTime > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait.waitTime));
+    }
+    
+    return { success: true, wait: { conditions, totalMs: Date.now() - startTime } };
+  }
+
+  // Input commands accept the navigate() wait conditions plus waitForNavigation/waitForNetworkIdle; no fixed wait by default
+  normalizeInputOptions(options = {}) {
+    const { waitForNavigation = false, waitForNetworkIdle = false } = options;
+    if (options.waitUntil && !waitForNavigation) {
+      throw new Error('A load state only applies to input commands together with waiting for navigation');
     }
+    
+    const wait = this.normalizeWaitOptions({ ...options, waitTime: options.waitTime ?? 0 });
+    return { ...options, ...wait, waitForNavigation: Boolean(waitForNavigation), waitForNetworkIdle: Boolean(waitForNetworkIdle) };
   }
 
-  // Safe JSON serialization for complex objects with circular references
-  safeStringify(value, replacer = null, space = null) {
+  // First match of a selector in any engine --view accepts (CSS, xpath=, text=, role=, aria-label=, >>>)
+  // in the given frame, or null
+  async queryElement(selector, frame = null) {
+    const context = await this.resolveFrame(frame);
+    const helpers = await this.createPageHelpers(context);
     try {
-      const seen = new WeakSet();
+      const handle = await context.evaluateHandle((helpers, sel) => helpers.queryAll(document, sel)[0] ?? null, helpers, selector);
+      const element = handle.asElement();
+      if (!element) {
+        await handle.dispose();
+      }
+      return element;
+    } finally {
+      await helpers.dispose();
+    }
+  }
 
-      const circularReplacer = (key, val) => {
-        // Apply custom replacer first if provided
-        if (replacer && typeof replacer === 'function') {
-          val = replacer(key, val);
-        }
+  async findElement(selector, frame = null) {
+    const element = await this.queryElement(selector, frame);
+    if (!element) {
+      throw new Error(`No element matches selector: ${selector}`);
+    }
+    return element;
+  }
 
-        // Handle circular references
-        if (val !== null && typeof val === 'object') {
-          if (seen.has(val)) {
-            return '[Circular Reference]';
+  // Polled from here because navigation replaces the page context, and the selector helpers with it
+  async waitForElement(selector, { visible = false, timeout = 30000 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      try {
+        const element = await this.queryElement(selector);
+        if (element) {
+          // Visible the way Puppeteer's waitForSelector means it: rendered with a size and not visibility: hidden
+          const ready = !visible || await element.evaluate((el) => {
+            const rect = el.getBoundingClientRect();
+            return getComputedStyle(el).visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+          });
+          await element.dispose();
+          if (ready) {
+            return;
           }
-          seen.add(val);
         }
-
-        // Handle special objects that can cause issues
-        if (val && typeof val === 'object' && val.constructor) {
-          const constructorName = val.constructor.name;
-
-          // Handle common problematic object types
-          if (constructorName.includes('Element') || constructorName.includes('Node')) {
-            return {
-              type: constructorName,
-              id: val.id || null,
-              className: val.className || null,
-              tagName: val.tagName || null,
-              _sanitized: 'DOM element sanitized',
-            };
-          }
+      } catch (error) {
+        // Only a context that went away during a navigation is worth retrying; a bad selector never matches
+        if (!/context|detached|target closed/i.test(error.message)) {
+          error.retryable = false;
+          throw error;
         }
+      }
+      
+      if (Date.now() >= deadline) {
+        throw new Error(visible ? 'no visible element matched' : 'no element matched');
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  // Run an input action with real mouse/keyboard events, then wait as requested and report the resulting page
+  async performInput(sessionName, type, wait, action) {
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    const startTime = Date.now();
+    const loadTimeout = wait.loadTimeout ?? 30000;
+    
+    // Listen before acting so a fast navigation isn't missed
+    const navigation = wait.waitForNavigation
+      ? this.page.waitForNavigation({ waitUntil: wait.waitUntil || 'domcontentloaded', timeout: loadTimeout })
+      : null;
+    navigation?.catch(() => {});
+    
+    const details = await action();
+    this.logger.success(`${type} done`);
+    
+    const resolved = [];
+    if (navigation) {
+      try {
+        await navigation;
+      } catch (error) {
+        throw new Error(`Timed out after ${loadTimeout}ms waiting for navigation after ${type} (${error.message})`);
+      }
+      resolved.push({ type: 'navigation', value: wait.waitUntil || 'domcontentloaded', resolved: true, elapsedMs: Date.now() - startTime });
+    }
+    if (wait.waitForNetworkIdle) {
+      try {
+        await this.page.waitForNetworkIdle({ timeout: loadTimeout });
+      } catch (error) {
+        throw new Error(`Timed out after ${loadTimeout}ms waiting for network idle after ${type} (${error.message})`);
+      }
+      resolved.push({ type: 'networkidle', value: 'networkidle0', resolved: true, elapsedMs: Date.now() - startTime });
+    }
+    resolved.push(...await this.waitForConditions(wait));
+    
+    if (wait.waitTime > 0) {
+      this.logger.debug(`Waiting ${wait.waitTime}ms for page to settle...`);
+      await new Promise(resolve => setTimeout(resolve, wait.waitTime));
+    }
+    
+    const pageInfo = await this.page.evaluate(() => {
+      return {
+        url: window.location.href,
+        title: document.title,
+        ready: document.readyState === 'complete'
+      };
+    });
+    
+    // The action may have navigated
+    this.sessionManager.updateSession(sessionName, { currentUrl: pageInfo.url });
+    this.currentUrl = pageInfo.url;
+    
+    return {
+      success: true,
+      action: { type, ...details },
+      pageInfo,
+      wait: { conditions: resolved, totalMs: Date.now() - startTime }
+    };
+  }
+
+  async click(selector, sessionName = 'default', options = {}) {
+    options = this.normalizeInputOptions(options);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'click', { selector, options });
+    }
+    
+    const { button = 'left', clickCount = 1 } = options;
+    if (!['left', 'right', 'middle'].includes(button)) {
+      throw new Error('Mouse button must be "left", "right" or "middle"');
+    }
+    
+    this.logger.info(`Clicking: ${selector}`);
+    return this.performInput(sessionName, 'click', options, async () => {
+      const element = await this.findElement(selector, options.frame);
+      await element.click({ button, clickCount });
+      return { selector, button, clickCount };
+    });
+  }
+
+  async type(selector, text, sessionName = 'default', options = {}) {
+    options = this.normalizeInputOptions(options);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'type', { selector, text, options });
+    }
+    
+    const { clear = false, delay = 0 } = options;
+    
+    this.logger.info(`Typing into: ${selector}`);
+    return this.performInput(sessionName, 'type', options, async () => {
+      const element = await this.findElement(selector, options.frame);
+      await element.focus();
+      
+      if (clear) {
+        // Select the existing content, then delete it with a real key press so input handlers run
+        await element.evaluate((el) => {
+          if (typeof el.select === 'function') {
+            el.select();
+          } else {
+            const range = document.createRange();
+            range.selectNodeContents(el);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+          }
+        });
+        await this.page.keyboard.press('Backspace');
+      }
+      
+      await this.page.keyboard.type(text, { delay });
+      const value = await element.evaluate(el => ('value' in el ? el.value : el.textContent));
+      return { selector, text, cleared: Boolean(clear), value };
+    });
+  }
+
+  // Keys use Puppeteer names; chords join them with '+', e.g. Control+Shift+K
+  async press(keys, sessionName = 'default', options = {}) {
+    options = this.normalizeInputOptions(options);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'press', { keys, options });
+    }
+    
+    const { selector = null } = options;
+    const chord = keys.split('+').map(key => key.trim()).filter(Boolean);
+    if (chord.length === 0) {
+      throw new Error('A key to press is required, e.g. Enter or Control+A');
+    }
+    
+    this.logger.info(`Pressing: ${keys}`);
+    return this.performInput(sessionName, 'press', options, async () => {
+      if (selector) {
+        const element = await this.findElement(selector, options.frame);
+        await element.focus();
+      }
+      
+      const modifiers = chord.slice(0, -1);
+      const key = chord[chord.length - 1];
+      try {
+        for (const modifier of modifiers) {
+          await this.page.keyboard.down(modifier);
+        }
+        await this.page.keyboard.press(key);
+      } finally {
+        for (const modifier of modifiers.reverse()) {
+          await this.page.keyboard.up(modifier);
+        }
+      }
+      return { keys, selector };
+    });
+  }
+
+  async hover(selector, sessionName = 'default', options = {}) {
+    options = this.normalizeInputOptions(options);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'hover', { selector, options });
+    }
+    
+    this.logger.info(`Hovering: ${selector}`);
+    return this.performInput(sessionName, 'hover', options, async () => {
+      const element = await this.findElement(selector, options.frame);
+      await element.hover();
+      return { selector };
+    });
+  }
+
+  async select(selector, values, sessionName = 'default', options = {}) {
+    options = this.normalizeInputOptions(options);
+    values = Array.isArray(values) ? values : [values];
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'select', { selector, values, options });
+    }
+    
+    this.logger.info(`Selecting ${values.join(', ')} in: ${selector}`);
+    return this.performInput(sessionName, 'select', options, async () => {
+      const element = await this.findElement(selector, options.frame);
+      const selected = await element.select(...values);
+      const missing = values.filter(value => !selected.includes(value));
+      if (missing.length > 0) {
+        throw new Error(`No option with value ${missing.map(value => `'${value}'`).join(', ')} in ${selector}`);
+      }
+      return { selector, values: selected };
+    });
+  }
+
+  // Target is a selector to scroll into view, or a wheel delta as "dy" or "dx,dy" in pixels
+  async scroll(target, sessionName = 'default', options = {}) {
+    options = this.normalizeInputOptions(options);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'scroll', { target, options });
+    }
+    
+    const delta = /^(-?\d+)(?:,(-?\d+))?$/.exec(String(target).trim());
+    
+    this.logger.info(`Scrolling: ${target}`);
+    return this.performInput(sessionName, 'scroll', options, async () => {
+      if (delta) {
+        const [deltaX, deltaY] = delta[2] === undefined ? [0, parseInt(delta[1])] : [parseInt(delta[1]), parseInt(delta[2])];
+        await this.page.mouse.wheel({ deltaX, deltaY });
+      } else {
+        const element = await this.findElement(target, options.frame);
+        await element.scrollIntoView();
+      }
+      
+      // Wheel scrolling is applied asynchronously
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const position = await this.page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+      return { target: String(target), position };
+    });
+  }
+
+  // Frames in document order: the main frame is 0, and each frame is followed by its children
+  listFrameOrder() {
+    const frames = [];
+    const visit = (frame, depth, parentIndex) => {
+      const index = frames.length;
+      frames.push({ frame, depth, parentIndex });
+      for (const child of frame.childFrames()) {
+        visit(child, depth + 1, index);
+      }
+    };
+    visit(this.page.mainFrame(), 0, null);
+    return frames;
+  }
+
+  async describeFrame({ frame, depth, parentIndex }, index) {
+    let name = null;
+    try {
+      // The name lives on the <iframe> element in the parent document
+      const element = await frame.frameElement();
+      if (element) {
+        name = await element.evaluate(el => el.getAttribute('name') || el.id || null);
+        await element.dispose();
+      }
+    } catch (error) {
+      this.logger.debug(`Could not read the name of frame ${index}: ${error.message}`);
+    }
+    return { index, name, url: frame.url(), depth, parentIndex };
+  }
+
+  // A frame by index (from listFrames), by the name or id of its <iframe>, or by URL pattern; null is the main frame
+  async resolveFrame(frameSpec = null) {
+    if (frameSpec === null || frameSpec === undefined || frameSpec === '') {
+      return this.page.mainFrame();
+    }
+    
+    const frames = this.listFrameOrder();
+    if (/^\d+$/.test(String(frameSpec))) {
+      const entry = frames[Number(frameSpec)];
+      if (!entry) {
+        throw new Error(`No frame with index ${frameSpec}. The page has ${frames.length} frame(s); see --frames`);
+      }
+      return entry.frame;
+    }
+    
+    const described = await Promise.all(frames.map((entry, index) => this.describeFrame(entry, index)));
+    const matchesUrl = this.createUrlMatcher(String(frameSpec));
+    const match = described.find(frame => frame.name === frameSpec) ||
+      described.find(frame => frame.index > 0 && matchesUrl(frame.url));
+    if (!match) {
+      throw new Error(`No frame matches '${frameSpec}' by name or URL; see --frames`);
+    }
+    
+    this.logger.debug(`Using frame ${match.index}: ${match.url}`);
+    return frames[match.index].frame;
+  }
+
+  async listFrames(sessionName = 'default') {
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'frames');
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    const frames = await Promise.all(this.listFrameOrder().map((entry, index) => this.describeFrame(entry, index)));
+    return { success: true, frames };
+  }
+
+  // Absolute hrefs of the links on the page, in document order and without duplicates
+  async collectLinks(sessionName = 'default') {
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'links');
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    const links = await this.page.evaluate(() => [...new Set(Array.from(document.querySelectorAll('a[href], area[href]'), link => link.href))]);
+    return { success: true, url: this.page.url(), links };
+  }
+
+  // Returns a handle to in-page selector helpers shared by --view, --selectors, --locate and the $find/$findAll
+  // functions of --execute. Passing the handle to evaluate() gives every call the same selector engines
+  createPageHelpers(context) {
+    return context.evaluateHandle(() => {
+      const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+      
+      // A quoted value matches the whole text exactly, a bare one as a case-insensitive substring
+      const textMatcher = (value) => {
+        const quoted = /^(["'])([\s\S]*)\1$/.exec(value.trim());
+        if (quoted) {
+          return (text) => normalize(text) === quoted[2];
+        }
+        const needle = normalize(value).toLowerCase();
+        return (text) => normalize(text).toLowerCase().includes(needle);
+      };
+      
+      const implicitRole = (el) => {
+        const tag = el.tagName.toLowerCase();
+        const type = (el.getAttribute('type') || 'text').toLowerCase();
+        // Only headers and footers depend on their ancestors, so other elements skip the walk up the tree
+        const landmark = () => !el.parentElement?.closest('article, aside, main, nav, section');
+        
+        switch (tag) {
+          case 'a':
+          case 'area':
+            return el.hasAttribute('href') ? 'link' : null;
+          case 'button':
+          case 'summary':
+            return 'button';
+          case 'input':
+            if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+            if (type === 'checkbox' || type === 'radio') return type;
+            if (type === 'range') return 'slider';
+            if (type === 'number') return 'spinbutton';
+            if (type === 'search') return 'searchbox';
+            return type === 'hidden' ? null : 'textbox';
+          case 'textarea':
+            return 'textbox';
+          case 'select':
+            return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+          case 'img':
+            return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+          case 'ul':
+          case 'ol':
+            return 'list';
+          case 'header':
+            return landmark() ? 'banner' : null;
+          case 'footer':
+            return landmark() ? 'contentinfo' : null;
+          case 'section':
+            return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null;
+          default:
+            if (/^h[1-6]$/.test(tag)) return 'heading';
+            return {
+              option: 'option', li: 'listitem', nav: 'navigation', main: 'main', aside: 'complementary',
+              form: 'form', table: 'table', tr: 'row', td: 'cell', th: 'columnheader', dialog: 'dialog',
+              article: 'article', progress: 'progressbar', hr: 'separator'
+            }[tag] || null;
+        }
+      };
+      
+      const roleOf = (el) => (el.getAttribute('role') || '').trim().split(/\s+/)[0] || implicitRole(el);
+      
+      // A simplified accessible name: labelledby, aria-label, <label>, alt, button value, text, then title/placeholder
+      const accessibleName = (el) => {
+        const labelledBy = el.getAttribute('aria-labelledby');
+        const labelled = labelledBy ? normalize(labelledBy.split(/\s+/).map(id => el.getRootNode().getElementById(id)?.textContent).join(' ')) : '';
+        if (labelled) return labelled;
+        if (el.getAttribute('aria-label')) return normalize(el.getAttribute('aria-label'));
+        if (el.labels?.length) return normalize(Array.from(el.labels).map(label => label.textContent).join(' '));
+        if (el.tagName === 'IMG' || el.tagName === 'AREA' || el.type === 'image') return normalize(el.getAttribute('alt'));
+        if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) return normalize(el.value);
+        return normalize(el.textContent) || normalize(el.getAttribute('title') || el.getAttribute('placeholder'));
+      };
+      
+      // One selector without >>>, matched in the light DOM below scope (a document, shadow root or element)
+      const queryPart = (scope, part) => {
+        const [, engine, value] = /^(xpath|text|role|aria-label)=([\s\S]*)$/.exec(part) || [];
+        if (!engine && /^\(*\/\//.test(part)) {
+          return queryPart(scope, `xpath=${part}`);
+        }
+        const descendants = () => Array.from(scope.querySelectorAll('*'));
+        
+        switch (engine) {
+          case 'xpath': {
+            const result = document.evaluate(value, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            const elements = [];
+            for (let i = 0; i < result.snapshotLength; i++) {
+              if (result.snapshotItem(i).nodeType === Node.ELEMENT_NODE) {
+                elements.push(result.snapshotItem(i));
+              }
+            }
+            return elements;
+          }
+          case 'text': {
+            const matches = textMatcher(value);
+            const candidates = descendants().filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName) && matches(el.textContent));
+            // The innermost elements with the text, not every ancestor that contains them. Each walk up stops
+            // where an earlier one has been, so every element is visited once
+            const enclosing = new Set();
+            for (const el of candidates) {
+              for (let node = el.parentElement; node && !enclosing.has(node); node = node.parentElement) {
+                enclosing.add(node);
+              }
+            }
+            return candidates.filter(el => !enclosing.has(el));
+          }
+          case 'role': {
+            const [, role, name] = /^([\w-]+)\s*(?:\[\s*name\s*=\s*([\s\S]+?)\s*\])?$/.exec(value.trim()) || [];
+            if (!role) {
+              throw new Error(`Invalid role selector '${part}'. Use role=button or role=button[name="Save"]`);
+            }
+            const matchesName = name ? textMatcher(name) : null;
+            return descendants().filter(el => roleOf(el) === role && (!matchesName || matchesName(accessibleName(el))));
+          }
+          case 'aria-label': {
+            const matches = textMatcher(value);
+            return descendants().filter(el => el.hasAttribute('aria-label') && matches(el.getAttribute('aria-label')));
+          }
+          default:
+            return Array.from(scope.querySelectorAll(part));
+        }
+      };
+      
+      const shadowRootsBelow = (el) => {
+        const roots = [];
+        const visit = (node) => {
+          for (const child of node.querySelectorAll('*')) {
+            if (child.shadowRoot) {
+              roots.push(child.shadowRoot);
+              visit(child.shadowRoot);
+            }
+          }
+        };
+        if (el.shadowRoot) {
+          roots.push(el.shadowRoot);
+          visit(el.shadowRoot);
+        }
+        visit(el);
+        return roots;
+      };
+      
+      // `a >>> b` finds b anywhere below a, shadow trees included; `a >>>> b` only among the direct
+      // children of a and of its shadow root
+      const queryAll = (root, selector) => {
+        const tokens = selector.trim().split(/\s*(>>>>?)\s*/);
+        let current = queryPart(root, tokens[0]);
+        for (let i = 1; i < tokens.length; i += 2) {
+          const [combinator, part] = [tokens[i], tokens[i + 1]];
+          current = [...new Set(current.flatMap(el => combinator === '>>>'
+            ? [el, ...shadowRootsBelow(el)].flatMap(scope => queryPart(scope, part))
+            : [el, el.shadowRoot].filter(Boolean).flatMap(scope => queryPart(scope, part).filter(match => match.parentNode === scope))))];
+        }
+        return current;
+      };
+      
+      // Prefer an id, then a path of nth-of-type steps; elements in shadow trees are reached through their host
+      const uniqueSelector = (el) => {
+        const root = el.getRootNode();
+        const hasUniqueId = (node) => node.id && root.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1;
+        const steps = [];
+        let node = el;
+        while (node) {
+          if (hasUniqueId(node)) {
+            steps.unshift(`#${CSS.escape(node.id)}`);
+            break;
+          }
+          const sameTag = Array.from(node.parentNode?.children || []).filter(sibling => sibling.tagName === node.tagName);
+          const tag = node.tagName.toLowerCase();
+          steps.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+          node = node.parentElement;
+        }
+        const path = steps.join(' > ');
+        return root instanceof ShadowRoot ? `${uniqueSelector(root.host)} >>> ${path}` : path;
+      };
+      
+      // The open shadow roots and frames below a node, including ones nested in shadow trees
+      const findEmbedded = (start) => {
+        const shadowHosts = [];
+        const frames = [];
+        const addHost = (el) => {
+          shadowHosts.push({
+            selector: uniqueSelector(el),
+            tagName: el.tagName.toLowerCase(),
+            elementCount: el.shadowRoot.querySelectorAll('*').length
+          });
+        };
+        const visit = (root) => {
+          for (const el of root.querySelectorAll('*')) {
+            if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+              frames.push({ selector: uniqueSelector(el), name: el.getAttribute('name') || el.id || null, src: el.src || null });
+            }
+            if (el.shadowRoot) {
+              addHost(el);
+              visit(el.shadowRoot);
+            }
+          }
+        };
+        
+        if (start.shadowRoot) {
+          addHost(start);
+          visit(start.shadowRoot);
+        }
+        visit(start);
+        return { shadowHosts, frames };
+      };
+      
+      const TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+      const STABLE_ATTRIBUTES = ['name', 'aria-label', 'placeholder', 'title', 'alt', 'for', 'href', 'type'];
+      // Framework ids, CSS-in-JS and CSS-module class names change between builds
+      const looksGenerated = (value) => /\d{3,}|(?=[0-9a-f]*\d)[0-9a-f]{6,}|^:|^(css|sc|jsx|emotion|svelte|tw)-|__[\w-]{5,}$|^(ember|react|radix|mui|headlessui|ng)[-_:]/i.test(value);
+      const quote = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+      
+      // Every element below scope, including those in shadow trees, which Puppeteer's ::-p- selectors search too
+      const deepElements = (scope) => [scope, ...shadowRootsBelow(scope)].flatMap(node => Array.from(node.querySelectorAll('*')));
+      // The elements that have none of the others below them, across shadow boundaries
+      const innermost = (elements) => {
+        const enclosing = new Set();
+        for (const el of elements) {
+          for (let node = el.parentElement || el.parentNode?.host; node && !enclosing.has(node); node = node.parentElement || node.parentNode?.host) {
+            enclosing.add(node);
+          }
+        }
+        return elements.filter(el => !enclosing.has(el));
+      };
+      
+      // Candidate selectors for el ranked by how well they survive DOM changes: id, test id, role and name,
+      // a stable attribute, a class combination, exact text, then the shortest path. Each one, and its
+      // Puppeteer form, is checked to match el and nothing else. cssOnly leaves out the role= and text= engines
+      const selectorCandidates = (el, { cssOnly = false } = {}) => {
+        const root = el.getRootNode();
+        const tag = el.tagName.toLowerCase();
+        const candidates = [];
+        // How to resolve the Puppeteer forms that this page cannot run as selectors, given the element they start from
+        const puppeteerFinders = new Map();
+        const isOnlyEl = (found) => found.length === 1 && found[0] === el;
+        // Every candidate also has the form Puppeteer accepts, which is the selector itself for CSS
+        const add = (type, selector, puppeteer = selector, findPuppeteer = null) => {
+          if (candidates.some(candidate => candidate.selector === selector)) return true;
+          try {
+            if (!isOnlyEl(queryAll(root, selector))) return false;
+          } catch {
+            return false;
+          }
+          const candidate = { type, selector, puppeteer };
+          candidates.push(candidate);
+          if (findPuppeteer) puppeteerFinders.set(candidate, findPuppeteer);
+          return true;
+        };
+        
+        if (el.id && !looksGenerated(el.id)) {
+          add('id', `#${CSS.escape(el.id)}`);
+        }
+        for (const attribute of TEST_ATTRIBUTES) {
+          const value = el.getAttribute(attribute);
+          if (value) {
+            add('testId', `[${attribute}=${quote(value)}]`) || add('testId', `${tag}[${attribute}=${quote(value)}]`);
+          }
+        }
+        if (!cssOnly) {
+          const role = roleOf(el);
+          const name = accessibleName(el);
+          if (role && name && name.length <= 80) {
+            add('role', `role=${role}[name=${quote(name)}]`, `::-p-aria([name=${quote(name)}][role=${quote(role)}])`,
+              (scope) => deepElements(scope).filter(node => roleOf(node) === role && accessibleName(node) === name));
+          }
+        }
+        for (const attribute of STABLE_ATTRIBUTES) {
+          const value = el.getAttribute(attribute);
+          if (value && value.length <= 100 && !looksGenerated(value) && !/^javascript:/i.test(value)) {
+            add('attribute', `${tag}[${attribute}=${quote(value)}]`);
+          }
+        }
+        
+        const classes = (typeof el.className === 'string' ? el.className.split(/\s+/) : [])
+          .filter(name => name && !looksGenerated(name))
+          .slice(0, 6)
+          .map(name => `.${CSS.escape(name)}`);
+        const combinations = [
+          ...classes.map(a => [a]),
+          ...classes.flatMap((a, i) => classes.slice(i + 1).map(b => [a, b])),
+          ...classes.flatMap((a, i) => classes.slice(i + 1).flatMap((b, j) => classes.slice(i + j + 2).map(c => [a, b, c])))
+        ];
+        combinations.some(combination => add('class', tag + combination.join('')));
+        
+        if (!cssOnly) {
+          const text = normalize(el.textContent);
+          if (text && text.length <= 60 && el.children.length <= 2) {
+            // Puppeteer's ::-p-text matches the innermost elements containing the text, case-sensitively
+            add('text', `text=${quote(text)}`, `::-p-text(${quote(text)})`,
+              (scope) => innermost(deepElements(scope).filter(node => normalize(node.textContent).includes(text))));
+          }
+        }
+        
+        // Shortest child path from el up to the first step that is unique, or to an ancestor with a stable id
+        const steps = [];
+        for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+          const anchor = node !== el && (node.id && !looksGenerated(node.id)
+            ? `#${CSS.escape(node.id)}`
+            : TEST_ATTRIBUTES.filter(attribute => node.hasAttribute(attribute)).map(attribute => `[${attribute}=${quote(node.getAttribute(attribute))}]`)[0]);
+          if (anchor && add('path', [anchor, ...steps].join(' > '))) break;
+          const stableClass = (typeof node.className === 'string' ? node.className.split(/\s+/) : []).find(name => name && !looksGenerated(name));
+          const step = node.tagName.toLowerCase() + (stableClass ? `.${CSS.escape(stableClass)}` : '');
+          const siblings = Array.from(node.parentNode?.children || []);
+          const sameTag = siblings.filter(sibling => sibling.tagName === node.tagName);
+          steps.unshift(siblings.filter(sibling => sibling.matches(step)).length > 1 ? `${step}:nth-of-type(${sameTag.indexOf(node) + 1})` : step);
+          if (add('path', steps.join(' > '))) break;
+        }
+        
+        // Elements in shadow trees are reached through their host, and >>> also searches nested shadow trees,
+        // so both forms of every candidate are resolved again from the document, the way they will be used
+        const inShadow = root instanceof ShadowRoot;
+        const prefix = inShadow ? `${selectorCandidates(root.host, { cssOnly: true })[0].selector} >>> ` : '';
+        let ranked = candidates.filter(candidate => {
+          try {
+            const findPuppeteer = puppeteerFinders.get(candidate);
+            return isOnlyEl(queryAll(document, prefix + candidate.selector)) &&
+              isOnlyEl(findPuppeteer ? findPuppeteer(inShadow ? root.host : document) : queryAll(document, prefix + candidate.puppeteer));
+          } catch {
+            return false;
+          }
+        }).map(candidate => ({ ...candidate, selector: prefix + candidate.selector, puppeteer: prefix + candidate.puppeteer }));
+        if (ranked.length === 0) {
+          // uniqueSelector already reaches into shadow trees through their hosts
+          const path = uniqueSelector(el);
+          ranked = [{ type: 'path', selector: path, puppeteer: path }];
+        }
+        return ranked;
+      };
+      
+      return { queryAll, uniqueSelector, findEmbedded, selectorCandidates, normalize, textMatcher, roleOf, accessibleName, shadowRootsBelow, testAttributes: TEST_ATTRIBUTES };
+    });
+  }
+
+  // Selectors use the page helpers' engines; options.index picks which match to analyze
+  async analyzeSelectors(selector = null, sessionName = 'default', options = {}) {
+    const { frame = null, index = 0 } = options;
+    this.logger.debug(`Analyzing selectors: ${selector || 'top level'}`);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'selectors', { selector, options });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    try {
+      const context = await this.resolveFrame(frame);
+      
+      if (!selector) {
+        // Return top-level page structure analysis
+        const helpers = await this.createPageHelpers(context);
+        const pageAnalysis = await context.evaluate((helpers) => {
+          const allElements = Array.from(document.querySelectorAll('*'));
+          const LANDMARKS = ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'search', 'form', 'region'];
+          // Every count is collected in one pass with maps, so large pages stay linear
+          const tagCounts = {};
+          const idCounts = new Map();
+          const classCounts = new Map();
+          const attributeCounts = new Map();
+          const dataAttributes = new Map();
+          const testIdCounts = new Map();
+          const roleCounts = new Map();
+          const landmarkElements = [];
+          const headingElements = [];
+          const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+          // Landmarks are named by aria-label or aria-labelledby only, never by their content
+          const landmarkName = (el) => (el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? helpers.accessibleName(el) : null);
+          
+          allElements.forEach(el => {
+            // Count tag types
+            const tag = el.tagName.toLowerCase();
+            tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+            
+            if (el.id) {
+              increment(idCounts, el.id);
+            }
+            
+            if (el.className && typeof el.className === 'string') {
+              new Set(el.className.split(/\s+/).filter(Boolean)).forEach(cls => increment(classCounts, cls));
+            }
+            
+            for (const { name, value } of el.attributes) {
+              increment(attributeCounts, name);
+              if (name.startsWith('data-')) {
+                increment(dataAttributes, name);
+                if (helpers.testAttributes.includes(name)) {
+                  increment(testIdCounts, `[${name}="${value.replace(/["\\]/g, '\\$&')}"]`);
+                }
+              }
+            }
+            
+            const role = helpers.roleOf(el);
+            if (role) {
+              increment(roleCounts, role);
+              if (LANDMARKS.includes(role) && !((role === 'form' || role === 'region') && !landmarkName(el))) {
+                landmarkElements.push([role, el]);
+              }
+            }
+            if (/^h[1-6]$/.test(tag)) {
+              headingElements.push(el);
+            }
+          });
+          
+          // nth-of-type positions are worked out once per parent, so long lists of siblings stay linear too
+          const positions = new Map();
+          const positionOf = (node) => {
+            const parent = node.parentElement;
+            if (!parent) return { index: 1, total: 1 };
+            if (!positions.has(parent)) {
+              const totals = new Map();
+              const indexes = new Map();
+              for (const child of parent.children) {
+                increment(totals, child.tagName);
+                indexes.set(child, totals.get(child.tagName));
+              }
+              positions.set(parent, { totals, indexes });
+            }
+            const { totals, indexes } = positions.get(parent);
+            return { index: indexes.get(node), total: totals.get(node.tagName) };
+          };
+          const selectorFor = (el) => {
+            const steps = [];
+            for (let node = el; node; node = node.parentElement) {
+              if (node.id && idCounts.get(node.id) === 1) {
+                steps.unshift(`#${CSS.escape(node.id)}`);
+                break;
+              }
+              const { index, total } = positionOf(node);
+              const tag = node.tagName.toLowerCase();
+              steps.unshift(total > 1 ? `${tag}:nth-of-type(${index})` : tag);
+            }
+            return steps.join(' > ');
+          };
+          const byCount = (map, format = key => key) => Object.fromEntries(Array.from(map.entries())
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .map(([key, count]) => [format(key), count]));
+          // Ids and classes such as 'md:flex' or '1st' need escaping to be valid selectors
+          const idSelector = (id) => `#${CSS.escape(id)}`;
+          const classSelector = (cls) => `.${CSS.escape(cls)}`;
+          const idList = Array.from(idCounts.keys());
+          const classList = Array.from(classCounts.keys()).sort();
+          
+          return {
+            totalElements: allElements.length,
+            tagTypes: Object.keys(tagCounts).sort(),
+            tagCounts: tagCounts,
+            // Ids used by more than one element are not valid selectors for either of them
+            idSelectors: idList.filter(id => idCounts.get(id) === 1).map(idSelector),
+            duplicateIds: idList.filter(id => idCounts.get(id) > 1).map(id => ({ id, count: idCounts.get(id) })),
+            classSelectors: classList.map(classSelector),
+            classCounts: byCount(classCounts, classSelector),
+            attributeCounts: byCount(attributeCounts),
+            dataAttributes: byCount(dataAttributes),
+            testIds: Array.from(testIdCounts.entries()).map(([selector, count]) => ({ selector, count, unique: count === 1 })),
+            roles: byCount(roleCounts),
+            landmarks: landmarkElements.map(([role, el]) => ({ role, name: landmarkName(el) || null, selector: selectorFor(el) })),
+            headings: headingElements.slice(0, 500).map(el => ({
+              level: Number(el.tagName[1]),
+              text: helpers.normalize(el.textContent).slice(0, 200),
+              selector: selectorFor(el)
+            })),
+            commonSelectors: [
+              'body', 'main', 'header', 'footer', 'nav', 'section', 'article',
+              'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+              'a', 'img', 'ul', 'ol', 'li', 'table', 'tr', 'td', 'th',
+              'form', 'input', 'button', 'textarea', 'select'
+            ].filter(tag => tagCounts[tag]),
+            // Selectors above that match exactly one element
+            uniqueSelectors: [
+              ...idList.filter(id => idCounts.get(id) === 1).map(idSelector),
+              ...Array.from(testIdCounts.keys()).filter(selector => testIdCounts.get(selector) === 1),
+              ...Object.keys(tagCounts).filter(tag => tagCounts[tag] === 1).sort(),
+              ...classList.filter(cls => classCounts.get(cls) === 1).map(classSelector)
+            ],
+            // Not counted above: the contents of open shadow roots and of frames
+            ...helpers.findEmbedded(document)
+          };
+        }, helpers);
+        await helpers.dispose();
+        return { success: true, analysis: pageAnalysis };
+        
+      } else {
+        // Analyze elements within the given selector
+        const helpers = await this.createPageHelpers(context);
+        const selectorAnalysis = await context.evaluate((helpers, sel, matchIndex) => {
+          const matches = helpers.queryAll(document, sel);
+          const parentElement = matches[matchIndex];
+          if (!parentElement) {
+            return { found: false, matchCount: matches.length };
+          }
+          
+          // Child selectors build on the selector as given when it is plain CSS naming a single element
+          const plainCss = !/^(xpath|text|role|aria-label)=|^\(*\/\/|>>>/.test(sel.trim());
+          const base = plainCss && matches.length === 1 ? sel : helpers.uniqueSelector(parentElement);
+          const children = Array.from(parentElement.children);
+          const descendants = Array.from(parentElement.querySelectorAll('*'));
+          
+          const childSelectors = children.map((child, index) => {
+            const tagName = child.tagName.toLowerCase();
+            const id = child.id ? `#${CSS.escape(child.id)}` : null;
+            const classes = child.className && typeof child.className === 'string' 
+              ? child.className.split(/\s+/).filter(Boolean).map(c => `.${CSS.escape(c)}`) 
+              : [];
+            
+            return {
+              index: index,
+              tagName: tagName,
+              selector: `${base} > ${tagName}:nth-child(${index + 1})`,
+              id: id,
+              classes: classes,
+              textContent: child.textContent,
+              hasChildren: child.children.length > 0,
+              childCount: child.children.length,
+              shadowRoot: Boolean(child.shadowRoot)
+            };
+          });
+          
+          return {
+            found: true,
+            parentSelector: sel,
+            matchCount: matches.length,
+            matchIndex,
+            uniqueSelector: helpers.uniqueSelector(parentElement),
+            parentTag: parentElement.tagName.toLowerCase(),
+            directChildren: children.length,
+            totalDescendants: descendants.length,
+            childSelectors: childSelectors,
+            ...helpers.findEmbedded(parentElement)
+          };
+        }, helpers, selector, index);
+        await helpers.dispose();
+        
+        if (!selectorAnalysis.found) {
+          return { success: false, error: this.describeMissingMatch(selector, index, selectorAnalysis.matchCount) };
+        }
+        
+        return { success: true, analysis: selectorAnalysis };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Finds elements by visible text, label, placeholder, title, aria-label, alt or button value, and ranks
+  // each hit's selectors by stability. Exact matches of visible, interactive elements come first
+  async locateElements(query, sessionName = 'default', options = {}) {
+    const { frame = null, limit = 10 } = options;
+    this.logger.debug(`Locating: ${query}`);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'locate', { query, options });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    try {
+      const context = await this.resolveFrame(frame);
+      const helpers = await this.createPageHelpers(context);
+      const located = await context.evaluate((helpers, query, limit) => {
+        const { normalize } = helpers;
+        const matches = helpers.textMatcher(query);
+        const wanted = normalize(query.trim().replace(/^(["'])([\s\S]*)\1$/, '$2')).toLowerCase();
+        const IGNORED = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE', 'META', 'LINK']);
+        const INTERACTIVE = 'a[href], button, input, select, textarea, summary, option, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="checkbox"], [role="radio"], [role="option"], [role="switch"], [contenteditable="true"], [tabindex]';
+        
+        const hits = new Map();
+        const add = (el, matchedBy, value) => {
+          if (el && !hits.has(el)) {
+            hits.set(el, { matchedBy, matchedText: normalize(value) });
+          }
+        };
+        
+        const scopes = [document, ...helpers.shadowRootsBelow(document.documentElement)];
+        for (const scope of scopes) {
+          const elements = Array.from(scope.querySelectorAll('*')).filter(el => !IGNORED.has(el.tagName));
+          
+          // Labels point at their control, which is what a test clicks or types into
+          for (const el of elements) {
+            for (const attribute of ['aria-label', 'placeholder', 'title', 'alt']) {
+              const value = el.getAttribute(attribute);
+              if (value && matches(value)) add(el, attribute, value);
+            }
+            if (el.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(el.type) && matches(el.value)) {
+              add(el, 'value', el.value);
+            }
+            if (el.tagName === 'LABEL' && el.control && matches(el.textContent)) {
+              add(el.control, 'label', el.textContent);
+            }
+          }
+          
+          // Visible text: the innermost elements containing it, raised to the control they belong to
+          const containing = new Set(elements.filter(el => matches(el.textContent)));
+          for (const el of containing) {
+            if (Array.from(el.children).some(child => containing.has(child))) continue;
+            const target = el.closest(INTERACTIVE) || el;
+            if (target.tagName === 'LABEL' && target.control) {
+              add(target.control, 'label', target.textContent);
+            } else {
+              add(target, 'text', el.textContent);
+            }
+          }
+        }
+        
+        const ranked = Array.from(hits.entries()).map(([el, hit]) => {
+          const style = window.getComputedStyle(el);
+          return {
+            el,
+            ...hit,
+            exact: hit.matchedText.toLowerCase() === wanted,
+            visible: el.getClientRects().length > 0 && style.visibility !== 'hidden',
+            interactive: Boolean(el.matches(INTERACTIVE))
+          };
+        }).sort((a, b) => (b.exact - a.exact) || (b.visible - a.visible) || (b.interactive - a.interactive) || (a.matchedText.length - b.matchedText.length));
+        
+        return {
+          count: ranked.length,
+          matches: ranked.slice(0, limit).map(({ el, ...hit }, index) => {
+            const selectors = helpers.selectorCandidates(el);
+            return {
+              index,
+              tagName: el.tagName.toLowerCase(),
+              role: helpers.roleOf(el),
+              name: helpers.accessibleName(el),
+              ...hit,
+              selector: selectors[0].selector,
+              selectors
+            };
+          })
+        };
+      }, helpers, query, limit);
+      await helpers.dispose();
+      
+      if (located.count === 0) {
+        return { success: false, error: `No element has text, a label, placeholder, title or aria-label matching '${query}'` };
+      }
+      
+      return { success: true, query, count: located.count, returned: located.matches.length, matches: located.matches };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The browser's accessibility tree (role, name, value and states per node) for the page or below one element
+  async getAccessibilityTree(selector = null, sessionName = 'default', options = {}) {
+    const { frame = null, index = 0, interestingOnly = true, includeIframes = false, outline = false } = options;
+    this.logger.debug(`Accessibility snapshot: ${selector || 'entire page'}`);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'a11y', { selector, options });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    const context = await this.resolveFrame(frame);
+    let root = null;
+    if (selector) {
+      const helpers = await this.createPageHelpers(context);
+      const match = await context.evaluateHandle((helpers, sel, matchIndex) => {
+        const matches = helpers.queryAll(document, sel);
+        return matches[matchIndex] || matches.length;
+      }, helpers, selector, index);
+      await helpers.dispose();
+      
+      root = match.asElement();
+      if (!root) {
+        const count = await match.jsonValue();
+        await match.dispose();
+        return { success: false, error: this.describeMissingMatch(selector, index, count) };
+      }
+    } else if (context !== this.page.mainFrame()) {
+      root = await context.evaluateHandle(() => document.documentElement);
+    }
+    
+    try {
+      const snapshot = await this.page.accessibility.snapshot({ interestingOnly, includeIframes, ...(root && { root }) });
+      if (!snapshot) {
+        return { success: false, error: `${selector || 'The page'} is not in the accessibility tree (hidden, or presentational only)` };
+      }
+      
+      let nodeCount = 0;
+      // Drop the elementHandle() accessor so the tree serializes as plain data
+      const toPlain = ({ children, elementHandle, ...node }) => {
+        nodeCount++;
+        return children ? { ...node, children: children.map(toPlain) } : node;
+      };
+      const tree = toPlain(snapshot);
+      
+      const result = { success: true, url: context.url(), root: selector, interestingOnly, nodeCount };
+      return outline ? { ...result, outline: this.formatAccessibilityOutline(tree) } : { ...result, tree };
+    } finally {
+      await root?.dispose();
+    }
+  }
+
+  // Indented "- role "name": value [states]" lines; much shorter than the JSON tree for reading or prompting
+  formatAccessibilityOutline(tree) {
+    const lines = [];
+    const visit = (node, depth) => {
+      const { role, name, value, children, ...properties } = node;
+      const states = Object.entries(properties)
+        .filter(([, state]) => state !== false && state !== 'false' && state !== '')
+        .map(([key, state]) => (state === true ? key : `${key}=${state}`));
+      
+      let line = `${'  '.repeat(depth)}- ${role}`;
+      if (name) line += ` "${name}"`;
+      if (value !== undefined && value !== '') line += `: ${value}`;
+      if (states.length > 0) line += ` [${states.join(', ')}]`;
+      lines.push(line);
+      
+      (children || []).forEach(child => visit(child, depth + 1));
+    };
+    visit(tree, 0);
+    return lines.join('\n');
+  }
+
+  async analyzeForms(selector = null, sessionName = 'default', options = {}) {
+    const { frame = null } = options;
+    this.logger.debug(`Analyzing forms: ${selector || 'entire page'}`);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'forms', { selector, options });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    const analysis = await this.describeForms(selector, await this.resolveFrame(frame));
+    if (!analysis.found) {
+      return { success: false, error: `Element not found: ${selector}` };
+    }
+    
+    return { success: true, url: analysis.url, totalForms: analysis.forms.length, forms: analysis.forms };
+  }
+
+  // Lists the forms in the page (or inside a container) with their fields; fields outside any
+  // <form>, common in single-page apps, are grouped as one extra "formless" entry
+  async describeForms(scopeSelector = null, context = this.page.mainFrame()) {
+    const helpers = await this.createPageHelpers(context);
+    const analysis = await context.evaluate((helpers, scopeSel, hiddenValue) => {
+      const scope = scopeSel ? helpers.queryAll(document, scopeSel)[0] : document;
+      if (!scope) {
+        return { found: false };
+      }
+      
+      const isUnique = (selector) => document.querySelectorAll(selector).length === 1;
+      
+      // Prefer an id, then a name, then a path of nth-of-type steps from the nearest ancestor with an id
+      const stableSelector = (el) => {
+        if (el.id && isUnique(`#${CSS.escape(el.id)}`)) {
+          return `#${CSS.escape(el.id)}`;
+        }
+        
+        const tag = el.tagName.toLowerCase();
+        const name = el.getAttribute('name');
+        if (name) {
+          let selector = `${tag}[name="${CSS.escape(name)}"]`;
+          if (el.type === 'radio' || el.type === 'checkbox') {
+            selector += `[value="${CSS.escape(el.value)}"]`;
+          }
+          if (isUnique(selector)) {
+            return selector;
+          }
+        }
+        
+        const steps = [];
+        let node = el;
+        while (node && node !== document.documentElement) {
+          if (node !== el && node.id && isUnique(`#${CSS.escape(node.id)}`)) {
+            steps.unshift(`#${CSS.escape(node.id)}`);
+            break;
+          }
+          const parent = node.parentElement;
+          const sameTag = parent ? Array.from(parent.children).filter(child => child.tagName === node.tagName) : [];
+          const step = node.tagName.toLowerCase();
+          steps.unshift(sameTag.length > 1 ? `${step}:nth-of-type(${sameTag.indexOf(node) + 1})` : step);
+          node = parent;
+        }
+        return steps.join(' > ');
+      };
+      
+      const labelText = (el) => {
+        const labels = el.labels ? Array.from(el.labels).map(label => label.innerText.trim()).filter(Boolean) : [];
+        if (labels.length > 0) {
+          return labels.join(' ');
+        }
+        if (el.getAttribute('aria-label')) {
+          return el.getAttribute('aria-label');
+        }
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy) {
+          return labelledBy.split(/\s+/).map(id => document.getElementById(id)?.innerText.trim()).filter(Boolean).join(' ') || null;
+        }
+        return el.getAttribute('title') || null;
+      };
+      
+      const isField = (el) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) &&
+        !['submit', 'button', 'reset', 'image'].includes(el.type);
+      const isButton = (el) => el.tagName === 'BUTTON' ||
+        (el.tagName === 'INPUT' && ['submit', 'button', 'reset', 'image'].includes(el.type));
+      
+      const describeField = (el) => {
+        const field = {
+          name: el.getAttribute('name'),
+          type: el.type,
+          label: labelText(el),
+          // Passwords are only reported as set or not
+          value: el.type === 'password' && el.value ? hiddenValue : el.value,
+          required: el.required,
+          disabled: el.disabled,
+          placeholder: el.getAttribute('placeholder'),
+          selector: stableSelector(el)
+        };
+        if (el.type === 'checkbox' || el.type === 'radio') {
+          field.checked = el.checked;
+        }
+        if (el.tagName === 'SELECT') {
+          field.options = Array.from(el.options).map(option => ({
+            value: option.value,
+            text: option.text.trim(),
+            selected: option.selected
+          }));
+        }
+        return field;
+      };
+      
+      const describeButton = (el) => ({
+        type: el.type,
+        text: (el.innerText || el.value || '').trim(),
+        selector: stableSelector(el)
+      });
+      
+      const formElements = scope.tagName === 'FORM' ? [scope] : Array.from(scope.querySelectorAll('form'));
+      const forms = formElements.map((form, index) => ({
+        index,
+        selector: stableSelector(form),
+        id: form.id || null,
+        name: form.getAttribute('name'),
+        action: form.action,
+        method: form.method,
+        fields: Array.from(form.elements).filter(isField).map(describeField),
+        buttons: Array.from(form.elements).filter(isButton).map(describeButton)
+      }));
+      
+      const formlessFields = Array.from(scope.querySelectorAll('input, select, textarea')).filter(el => isField(el) && !el.form);
+      if (formlessFields.length > 0) {
+        forms.push({
+          index: forms.length,
+          formless: true,
+          selector: null,
+          id: null,
+          name: null,
+          action: null,
+          method: null,
+          fields: formlessFields.map(describeField),
+          buttons: Array.from(scope.querySelectorAll('button, input')).filter(el => isButton(el) && !el.form).map(describeButton)
+        });
+      }
+      
+      return { found: true, url: window.location.href, forms };
+    }, helpers, scopeSelector, HIDDEN_VALUE);
+    await helpers.dispose();
+    return analysis;
+  }
+
+  // Values are keyed by field name, label text or CSS selector; options.form picks a form by index or selector
+  async fillForm(values, sessionName = 'default', options = {}) {
+    options = this.normalizeInputOptions(options);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'fill', { values, options });
+    }
+    
+    if (!values || typeof values !== 'object' || Array.isArray(values) || Object.keys(values).length === 0) {
+      throw new Error('Fill values must be a JSON object mapping field names or selectors to values');
+    }
+    
+    const { form = null, submit = false, frame = null } = options;
+    const isIndex = form !== null && /^\d+$/.test(String(form));
+    
+    this.logger.info(`Filling ${Object.keys(values).length} field(s)`);
+    return this.performInput(sessionName, 'fill', options, async () => {
+      const analysis = await this.describeForms(isIndex ? null : form, await this.resolveFrame(frame));
+      if (!analysis.found) {
+        throw new Error(`Form not found: ${form}`);
+      }
+      
+      let forms = analysis.forms;
+      if (isIndex) {
+        forms = forms.filter(entry => entry.index === parseInt(form));
+        if (forms.length === 0) {
+          throw new Error(`No form with index ${form} (see --forms)`);
+        }
+      }
+      const fields = forms.flatMap(entry => entry.fields.map(field => ({ ...field, form: entry })));
+      
+      // Resolve every key before touching the page so a typo doesn't leave a half-filled form
+      const targets = [];
+      const unmatched = [];
+      for (const [key, value] of Object.entries(values)) {
+        let matches = fields.filter(field => field.name === key);
+        if (matches.length === 0) {
+          matches = fields.filter(field => field.label && field.label.trim().toLowerCase() === key.trim().toLowerCase());
+        }
+        if (matches.length === 0) {
+          const element = await this.queryElement(key, frame).catch(() => null);
+          if (element) {
+            const field = await element.evaluate(el => ({
+              type: el.isContentEditable ? 'contenteditable' : el.type,
+              checked: el.checked
+            }));
+            matches = [{ ...field, name: null, selector: key, form: null }];
+          }
+        }
+        
+        if (matches.length === 0) {
+          unmatched.push(key);
+        } else {
+          targets.push({ key, value, matches });
+        }
+      }
+      
+      if (unmatched.length > 0) {
+        throw new Error(`No field matches ${unmatched.map(key => `'${key}'`).join(', ')}. Use --forms to list field names and selectors.`);
+      }
+      
+      const filled = [];
+      for (const { key, value, matches } of targets) {
+        for (const field of this.pickFieldsToFill(key, value, matches)) {
+          await this.fillField(field, value, frame);
+          filled.push({ key, selector: field.selector, type: field.type });
+        }
+      }
+      
+      let submitted = false;
+      if (submit) {
+        submitted = await this.submitForm(forms.length === 1 ? forms[0] : targets[0].matches[0].form, filled[filled.length - 1].selector, frame);
+      }
+      
+      return { filled, submitted };
+    });
+  }
+
+  // Radio groups and checkbox groups share a name; the value decides which member(s) to set
+  pickFieldsToFill(key, value, matches) {
+    const type = matches[0].type;
+    if (type === 'radio' && matches.length > 1) {
+      const radio = matches.find(field => field.value === String(value));
+      if (!radio) {
+        throw new Error(`'${key}' has no option with value '${value}' (options: ${matches.map(field => field.value).join(', ')})`);
+      }
+      return [radio];
+    }
+    if (type === 'checkbox' && matches.length > 1 && Array.isArray(value)) {
+      return matches;
+    }
+    return [matches[0]];
+  }
+
+  async fillField(field, value, frame = null) {
+    const element = await this.findElement(field.selector, frame);
+    
+    switch (field.type) {
+      case 'select-one':
+      case 'select-multiple': {
+        const wanted = (Array.isArray(value) ? value : [value]).map(String);
+        const selected = await element.select(...wanted);
+        const missing = wanted.filter(option => !selected.includes(option));
+        if (missing.length > 0) {
+          throw new Error(`No option with value ${missing.map(option => `'${option}'`).join(', ')} in ${field.selector}`);
+        }
+        break;
+      }
+      
+      case 'checkbox': {
+        // A list of values checks the group members it names; otherwise the value is on/off
+        const checked = await element.evaluate(el => el.checked);
+        const ownValue = await element.evaluate(el => el.value);
+        const wanted = Array.isArray(value) ? value.map(String).includes(ownValue) : [true, 'true', 'on', '1', 1].includes(value);
+        if (checked !== wanted) {
+          await element.click();
+        }
+        break;
+      }
+      
+      case 'radio':
+        if (!await element.evaluate(el => el.checked)) {
+          await element.click();
+        }
+        break;
+      
+      case 'file':
+        throw new Error(`File inputs can't be filled (${field.selector})`);
+      
+      case 'date':
+      case 'datetime-local':
+      case 'month':
+      case 'week':
+      case 'time':
+      case 'color':
+      case 'range':
+        // These widgets don't take typed text reliably across locales, so set the value and fire the events
+        await element.evaluate((el, newValue) => {
+          el.value = newValue;
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+          el.dispatchEvent(new Event('change', { bubbles: true }));
+        }, String(value));
+        break;
+      
+      default: {
+        // Replace the current content with real key events so framework handlers see the input
+        await element.focus();
+        await element.evaluate((el) => {
+          if (typeof el.select === 'function') {
+            el.select();
+          } else {
+            const range = document.createRange();
+            range.selectNodeContents(el);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+          }
+        });
+        await this.page.keyboard.press('Backspace');
+        await this.page.keyboard.type(String(value));
+      }
+    }
+  }
+
+  // Clicks the form's submit button like a user would; falls back to requestSubmit(), or to
+  // Enter in the last field when the fields aren't in a <form>
+  async submitForm(form, lastSelector, frame = null) {
+    if (form && !form.formless) {
+      const submitButton = form.buttons.find(button => button.type === 'submit');
+      if (submitButton) {
+        await (await this.findElement(submitButton.selector, frame)).click();
+      } else {
+        await (await this.findElement(form.selector, frame)).evaluate(el => el.requestSubmit());
+      }
+      return true;
+    }
+    
+    await (await this.findElement(lastSelector, frame)).focus();
+    await this.page.keyboard.press('Enter');
+    return true;
+  }
+
+  // Safe JSON serialization for complex objects with circular references
+  safeStringify(value, replacer = null, space = null) {
+    try {
+      const seen = new WeakSet();
+
+      const circularReplacer = (key, val) => {
+        // Apply custom replacer first if provided
+        if (replacer && typeof replacer === 'function') {
+          val = replacer(key, val);
+        }
+
+        // Handle circular references
+        if (val !== null && typeof val === 'object') {
+          if (seen.has(val)) {
+            return '[Circular Reference]';
+          }
+          seen.add(val);
+        }
+
+        // Handle special objects that can cause issues
+        if (val && typeof val === 'object' && val.constructor) {
+          const constructorName = val.constructor.name;
+
+          // Handle common problematic object types
+          if (constructorName.includes('Element') || constructorName.includes('Node')) {
+            return {
+              type: constructorName,
+              id: val.id || null,
+              className: val.className || null,
+              tagName: val.tagName || null,
+              _sanitized: 'DOM element sanitized',
+            };
+          }
+        }
+
+        return val;
+      };
+
+      return JSON.stringify(value, circularReplacer, space);
+    } catch (error) {
+      this.logger.warn('Safe JSON serialization failed:', error);
+      return `[Serialization Error: ${error.message}]`;
+    }
+  }
+
+  // options.args is any JSON value, visible to the code as the variable `args`
+  async executeJavaScript(code, sessionName = 'default', options = {}) {
+    const { timeout = null, args = undefined, frame = null } = options;
+    this.logger.debug(`Executing JavaScript: ${code}`);
+    
+    if (timeout !== null && !(Number.isInteger(timeout) && timeout > 0)) {
+      throw new Error('Execution timeout must be a positive number of milliseconds');
+    }
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      // Leave the daemon time to stop the script and answer before giving up on it
+      return this.sendCommand(sessionName, 'execute', { code, options }, timeout ? timeout + 15000 : REQUEST_TIMEOUT_MS);
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    let timer = null;
+    let helpers = null;
+    try {
+      const context = await this.resolveFrame(frame);
+      helpers = await this.createPageHelpers(context);
+      const script = await this.prepareScript(code);
+      
+      // Execute the code and get the result
+      const evaluation = context.evaluate(async (codeToExecute, isAsync, scriptArgs, hasArgs, helpers) => {
+        try {
+          // $find/$findAll give the code the same selector engines as --view, like the console's $ and $$;
+          // defined once per document and never over the page's own globals
+          if (!('$findAll' in window)) {
+            Object.defineProperty(window, '$find', { value: (selector, root = document) => helpers.queryAll(root, selector)[0] ?? null, configurable: true, writable: true });
+            Object.defineProperty(window, '$findAll', { value: (selector, root = document) => helpers.queryAll(root, selector), configurable: true, writable: true });
+          }
+          
+          // Use indirect eval to execute in global scope
+          const globalEval = window.eval;
+          let rawResult;
+          if (isAsync) {
+            // Top-level await (or return) needs an async function body
+            rawResult = globalEval(`(async (${hasArgs ? 'args' : ''}) => {\n${codeToExecute}\n})`)(scriptArgs);
+          } else if (hasArgs) {
+            // With arguments, a direct eval inside a function makes `args` visible to the code;
+            // its var declarations then stay local to this execution
+            rawResult = new Function('args', '__code', 'return eval(__code)')(scriptArgs, codeToExecute);
+          } else {
+            rawResult = globalEval(codeToExecute);
+          }
+          
+          // Wait for promises (fetch, timers, async functions) instead of serializing them as {}
+          if (rawResult && typeof rawResult.then === 'function') {
+            rawResult = await rawResult;
+          }
+          
+          // Try to create a safe representation of the result
+          const safeResult = (() => {
+            if (rawResult === null || rawResult === undefined) {
+              return rawResult;
+            }
+            
+            if (typeof rawResult === 'function') {
+              return {
+                _type: 'function',
+                name: rawResult.name || 'anonymous',
+                length: rawResult.length,
+                toString: rawResult.toString()
+              };
+            }
+            
+            if (typeof rawResult === 'object') {
+              // Handle arrays
+              if (Array.isArray(rawResult)) {
+                return rawResult; // Return full array
+              }
+              
+              // For objects, try to serialize safely
+              try {
+                JSON.stringify(rawResult);
+                return rawResult; // If it can be stringified, return as-is
+              } catch (e) {
+                // If circular or problematic, create safe representation
+                if (rawResult.constructor) {
+                  return {
+                    _type: 'object',
+                    constructor: rawResult.constructor.name,
+                    keys: Object.keys(rawResult),
+                    _note: 'Complex object - use specific properties to inspect'
+                  };
+                }
+                return '[Complex Object - Cannot Serialize]';
+              }
+            }
+            
+            return rawResult;
+          })();
+          
+          return { success: true, result: safeResult };
+        } catch (executionError) {
+          return { success: false, error: executionError.message, stack: executionError.stack };
+        }
+      }, script.code, script.isAsync, args ?? null, args !== undefined, helpers);
+      
+      // Measured here rather than in the page, so synchronous endless loops are caught too
+      let result;
+      if (timeout) {
+        evaluation.catch(() => {});
+        result = await Promise.race([
+          evaluation,
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              // A script that is still running would block the tab and every command queued behind it
+              Promise.race([this.terminateExecution(), new Promise((_, fail) => setTimeout(() => fail(new Error('no answer from the page')), 5000))])
+                .catch(error => this.logger.warn(`Could not stop the timed-out script: ${error.message}`))
+                .finally(() => reject(new Error(`Execution timed out after ${timeout}ms`)));
+            }, timeout);
+          })
+        ]);
+      } else {
+        result = await evaluation;
+      }
+
+      if (result.success) {
+        return { success: true, result: result.result };
+      } else {
+        return { 
+          success: false, 
+          error: result.error,
+          stack: result.stack
+        };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+      helpers?.dispose().catch(() => {});
+    }
+  }
+
+  // Stops the JavaScript running in the page, such as an endless loop. Pending promises are left alone
+  async terminateExecution() {
+    const cdp = await this.page.createCDPSession();
+    try {
+      await cdp.send('Runtime.terminateExecution');
+      // When nothing was running, the termination would hit the next script instead: absorb it with an empty one
+      await cdp.send('Runtime.evaluate', { expression: '0' }).catch(() => {});
+    } finally {
+      await cdp.detach().catch(() => {});
+    }
+  }
+
+  // Code with top-level await or return has to run as an async function body. Its last expression
+  // statement is turned into the return value, so it gives the same result as synchronous code would
+  async prepareScript(code) {
+    const { parse } = await import('acorn');
+    let program;
+    try {
+      program = parse(code, { ecmaVersion: 'latest', allowAwaitOutsideFunction: true, allowReturnOutsideFunction: true });
+    } catch (error) {
+      // Let the page report the syntax error in its own words
+      return { code, isAsync: false };
+    }
+    
+    const needsAsync = (node) => {
+      if (!node || typeof node.type !== 'string') {
+        return false;
+      }
+      if (node.type === 'AwaitExpression' || node.type === 'ReturnStatement' || (node.type === 'ForOfStatement' && node.await)) {
+        return true;
+      }
+      // await and return inside nested functions belong to those functions
+      if (['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type)) {
+        return false;
+      }
+      return Object.values(node).some(value => (Array.isArray(value) ? value.some(needsAsync) : needsAsync(value)));
+    };
+    if (!needsAsync(program)) {
+      return { code, isAsync: false };
+    }
+    
+    const last = program.body[program.body.length - 1];
+    if (last?.type === 'ExpressionStatement') {
+      code = `${code.slice(0, last.start)}return (${code.slice(last.expression.start, last.expression.end)});${code.slice(last.end)}`;
+    }
+    return { code, isAsync: true };
+  }
+
+  // Reads the script on the client side ('-' for stdin) so paths are relative to the caller
+  async executeScriptFile(filename, sessionName = 'default', options = {}) {
+    let code;
+    try {
+      code = filename === '-' ? readFileSync(0, 'utf8') : readFileSync(resolve(filename), 'utf8');
+    } catch (error) {
+      throw new Error(`Could not read script ${filename === '-' ? 'from stdin' : filename}: ${error.message}`);
+    }
+    
+    if (!code.trim()) {
+      throw new Error(`Script ${filename === '-' ? 'from stdin' : filename} is empty`);
+    }
+    
+    return this.executeJavaScript(code, sessionName, options);
+  }
+
+  // Steps run from this process through the usual commands, so each one is forwarded to the session daemon
+  async runPlaybook(filename, sessionName = 'default', options = {}) {
+    return new PlaybookRunner(this).run(filename, sessionName, options);
+  }
+
+  async crawl(url, sessionName = 'default', options = {}) {
+    return new SiteCrawler(this).run(url, sessionName, options);
+  }
+
+  async saveSnapshot(name, selector = null, sessionName = 'default', options = {}) {
+    return new DomSnapshots(this).save(name, selector, sessionName, options);
+  }
+
+  async diffSnapshot(name, sessionName = 'default', options = {}) {
+    return new DomSnapshots(this).diff(name, sessionName, options);
+  }
+
+  async takeScreenshot(filename = null, sessionName = 'default') {
+    if (!filename) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      filename = `websource-browser-screenshot-${timestamp}.png`;
+    }
+    
+    // Resolve against the caller's working directory, not the daemon's
+    const screenshotPath = resolve(filename);
+    this.logger.debug(`Taking screenshot: ${screenshotPath}`);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'screenshot', { filename: screenshotPath });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    try {
+      await this.page.screenshot({ path: screenshotPath, fullPage: true });
+      this.logger.success(`Screenshot saved: ${screenshotPath}`);
+      return { success: true, path: screenshotPath };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Cookies plus per-origin web storage, in the same shape as Playwright's storageState
+  async exportStorageState(filename = null, sessionName = 'default') {
+    // Resolve against the caller's working directory, not the daemon's
+    const outputPath = filename ? resolve(filename) : null;
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'exportStorage', { filename: outputPath });
+    }
+    
+    const cookies = await this.browser.cookies();
+    
+    // Web storage can only be read from documents that are open, so walk every frame of every tab
+    const origins = new Map();
+    for (const page of await this.browser.pages()) {
+      for (const frame of page.frames()) {
+        let storage;
+        try {
+          storage = await frame.evaluate(() => {
+            const dump = (store) => Object.keys(store).map(name => ({ name, value: store.getItem(name) }));
+            return {
+              origin: window.location.origin,
+              localStorage: dump(window.localStorage),
+              sessionStorage: dump(window.sessionStorage)
+            };
+          });
+        } catch (error) {
+          // Sandboxed and opaque-origin frames deny storage access
+          this.logger.debug(`Skipping storage for frame ${frame.url()}: ${error.message}`);
+          continue;
+        }
+        
+        if (!storage.origin || storage.origin === 'null') continue;
+        
+        const existing = origins.get(storage.origin);
+        if (!existing) {
+          origins.set(storage.origin, storage);
+        } else {
+          const known = new Set(existing.sessionStorage.map(item => item.name));
+          existing.sessionStorage.push(...storage.sessionStorage.filter(item => !known.has(item.name)));
+        }
+      }
+    }
+    
+    const state = { cookies, origins: Array.from(origins.values()) };
+    const summary = { cookies: state.cookies.length, origins: state.origins.map(entry => entry.origin) };
+    
+    if (outputPath) {
+      // Session cookies and tokens: readable only by the owner, also when an existing file is overwritten
+      writeFileSync(outputPath, JSON.stringify(state, null, 2), { mode: 0o600 });
+      chmodSync(outputPath, 0o600);
+      this.logger.success(`Storage state saved: ${outputPath}`);
+      return { success: true, path: outputPath, ...summary };
+    }
+    
+    return { success: true, ...summary, state };
+  }
+
+  async importStorageState(filename, sessionName = 'default') {
+    // Resolve against the caller's working directory, not the daemon's
+    const inputPath = resolve(filename);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'importStorage', { filename: inputPath });
+    }
+    
+    let state;
+    try {
+      state = JSON.parse(readFileSync(inputPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read storage state ${inputPath}: ${error.message}`);
+    }
+    
+    const cookies = state.cookies || [];
+    const origins = state.origins || [];
+    if (!Array.isArray(cookies) || !Array.isArray(origins)) {
+      throw new Error(`Invalid storage state ${inputPath}: expected "cookies" and "origins" arrays`);
+    }
+    
+    if (cookies.length > 0) {
+      // Exported cookies carry read-only fields (size, session) that setCookie doesn't accept
+      await this.browser.setCookie(...cookies.map(cookie => {
+        const { name, value, domain, path, expires, httpOnly, secure, sameSite, priority, sourceScheme, partitionKey } = cookie;
+        return {
+          name, value, domain, path, httpOnly, secure, sameSite, priority, sourceScheme, partitionKey,
+          ...(expires > 0 ? { expires } : {})
+        };
+      }));
+    }
+    
+    for (const entry of origins) {
+      if (entry.localStorage?.length) {
+        await this.seedLocalStorage(entry.origin, entry.localStorage);
+      }
+      if (entry.sessionStorage?.length) {
+        await this.seedSessionStorage(entry.origin, entry.sessionStorage);
+      }
+    }
+    
+    this.logger.success(`Storage state loaded: ${cookies.length} cookie(s), ${origins.length} origin(s)`);
+    return { success: true, path: inputPath, cookies: cookies.length, origins: origins.map(entry => entry.origin) };
+  }
+
+  // localStorage needs a document on the origin, so load a stub page there without hitting the network
+  async seedLocalStorage(origin, items) {
+    const page = await this.browser.newPage();
+    try {
+      await page.setRequestInterception(true);
+      page.on('request', request => request.respond({ status: 200, contentType: 'text/html', body: '<html></html>' }));
+      await page.goto(origin, { waitUntil: 'domcontentloaded', timeout: 10000 });
+      await page.evaluate((entries) => {
+        entries.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+      }, items);
+    } finally {
+      await page.close();
+    }
+  }
+
+  // sessionStorage is per tab, so it goes into the active tab the next time it is on the origin
+  async seedSessionStorage(origin, items) {
+    const seed = (targetOrigin, entries) => {
+      if (window.location.origin !== targetOrigin) return;
+      entries.forEach(({ name, value }) => {
+        if (window.sessionStorage.getItem(name) === null) {
+          window.sessionStorage.setItem(name, value);
+        }
+      });
+    };
+    
+    await this.page.evaluateOnNewDocument(seed, origin, items);
+    await this.page.evaluate(seed, origin, items);
+  }
+
+  // options.index picks one match; options.all returns up to options.limit matches starting at index
+  async viewElement(selector = null, sessionName = 'default', options = {}) {
+    const { frame = null, all = false, index = 0, limit = 50 } = options;
+    this.logger.debug(`Viewing element: ${selector || 'entire page'}`);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'view', { selector, options });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    try {
+      const context = await this.resolveFrame(frame);
+      
+      if (!selector) {
+        // Return full page content
+        const pageContent = await context.evaluate(() => {
+          return {
+            title: document.title,
+            url: window.location.href,
+            html: document.documentElement.outerHTML,
+            text: document.body.innerText
+          };
+        });
+        return { success: true, page: pageContent };
+      } else {
+        // Return element-specific information
+        const helpers = await this.createPageHelpers(context);
+        const view = await context.evaluate((helpers, sel, { all, index, limit }) => {
+          const matches = helpers.queryAll(document, sel);
+          const describe = (element) => {
+            const computed = window.getComputedStyle(element);
+            const rect = element.getBoundingClientRect();
+            
+            return {
+              selector: helpers.uniqueSelector(element),
+              tagName: element.tagName,
+              id: element.id,
+              className: element.className,
+              textContent: element.textContent,
+              attributes: Array.from(element.attributes).reduce((attrs, attr) => {
+                attrs[attr.name] = attr.value;
+                return attrs;
+              }, {}),
+              boundingBox: {
+                x: rect.x,
+                y: rect.y,
+                width: rect.width,
+                height: rect.height
+              },
+              computed: {
+                display: computed.display,
+                position: computed.position,
+                visibility: computed.visibility,
+                opacity: computed.opacity,
+                zIndex: computed.zIndex,
+                backgroundColor: computed.backgroundColor,
+                color: computed.color,
+                fontSize: computed.fontSize,
+                fontFamily: computed.fontFamily
+              },
+              isVisible: rect.width > 0 && rect.height > 0 && computed.visibility !== 'hidden' && computed.display !== 'none'
+            };
+          };
+          
+          if (all) {
+            return {
+              count: matches.length,
+              matches: matches.slice(index, index + limit).map((element, offset) => ({ index: index + offset, ...describe(element) }))
+            };
+          }
+          return { count: matches.length, element: matches[index] ? describe(matches[index]) : null };
+        }, helpers, selector, { all, index, limit });
+        await helpers.dispose();
+        
+        if (all) {
+          return { success: true, selector, count: view.count, returned: view.matches.length, matches: view.matches };
+        }
+        if (!view.element) {
+          return { success: false, error: this.describeMissingMatch(selector, index, view.count) };
+        }
+        
+        return { success: true, count: view.count, element: view.element };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Reader-mode extraction: the main content region converted to Markdown, without navigation, ads and scripts
+  async readPage(selector = null, sessionName = 'default', options = {}) {
+    const { frame = null, index = 0, maxLength = null } = options;
+    this.logger.debug(`Reading: ${selector || 'main content'}`);
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'read', { selector, options });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    try {
+      const context = await this.resolveFrame(frame);
+      const helpers = await this.createPageHelpers(context);
+      const content = await context.evaluate((helpers, sel, matchIndex) => {
+        const LANDMARKS = 'nav, aside, footer, [role="navigation"], [role="complementary"], [role="contentinfo"], [role="search"]';
+        
+        const findMainContent = () => {
+          const main = document.querySelector('main, [role="main"]');
+          if (main && main.textContent.trim()) {
+            return { root: main, source: 'main' };
+          }
+          const articles = document.querySelectorAll('article');
+          if (articles.length === 1) {
+            return { root: articles[0], source: 'article' };
+          }
+          
+          // Score containers by the paragraph text they hold, like reader modes do
+          const scores = new Map();
+          for (const block of document.body.querySelectorAll('p, pre, blockquote')) {
+            const length = block.textContent.trim().length;
+            if (length < 25 || block.closest(LANDMARKS)) continue;
+            const parent = block.parentElement;
+            const grandparent = parent && parent.parentElement;
+            if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+            if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+          }
+          const linkDensity = (element) => {
+            const textLength = element.textContent.length || 1;
+            const linkLength = Array.from(element.querySelectorAll('a')).reduce((sum, a) => sum + a.textContent.length, 0);
+            return linkLength / textLength;
+          };
+          const [best] = Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([element, score]) => [element, score * (1 - linkDensity(element))])
+            .sort((a, b) => b[1] - a[1]);
+          if (best && best[1] > 0) {
+            return { root: best[0], source: 'score' };
+          }
+          return { root: document.body, source: 'body' };
+        };
+        
+        let root;
+        let source = 'selector';
+        if (sel) {
+          const matches = helpers.queryAll(document, sel);
+          root = matches[matchIndex];
+          if (!root) return { found: false, count: matches.length };
+        } else {
+          ({ root, source } = findMainContent());
+        }
+        
+        const INLINE = new Set(['A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DEL', 'DFN', 'EM', 'FONT', 'I', 'INS', 'KBD', 'LABEL', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRIKE', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR']);
+        const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'SVG', 'CANVAS', 'VIDEO', 'AUDIO', 'MAP', 'NAV', 'ASIDE', 'DIALOG', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'HEAD', 'LINK', 'META']);
+        const SKIP_ROLES = new Set(['navigation', 'complementary', 'contentinfo', 'banner', 'search', 'dialog', 'alertdialog']);
+        const JUNK = /(^|[\s_-])(ads?|advert\w*|sponsor\w*|promo\w*|cookie\w*|consent|newsletter|social|share|sharing|popup|modal|breadcrumbs?|skip-link)([\s_-]|$)/i;
+        
+        const isSkipped = (element) => {
+          if (element === root) return false;
+          if (SKIP.has(element.tagName.toUpperCase()) || SKIP_ROLES.has(element.getAttribute('role'))) return true;
+          // Page-wide header and footer, not the ones inside an article or section
+          if (['HEADER', 'FOOTER'].includes(element.tagName) && !(element.parentElement && element.parentElement.closest('article, section, main, [role="main"]'))) return true;
+          if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+          if (JUNK.test(`${element.id} ${typeof element.className === 'string' ? element.className : ''}`)) return true;
+          const style = window.getComputedStyle(element);
+          return style.display === 'none' || style.visibility === 'hidden';
+        };
+        
+        const inlineText = (element) => children(element).replace(/\s+/g, ' ').trim();
+        const block = (text) => (text.trim() ? `\n\n${text.trim()}\n\n` : '');
+        const wrap = (text, mark) => (text.trim() ? `${mark}${text.trim()}${mark}` : text);
+        
+        const list = (element) => {
+          const ordered = element.tagName === 'OL';
+          let number = ordered ? parseInt(element.getAttribute('start')) || 1 : 0;
+          const items = Array.from(element.children).filter(item => item.tagName === 'LI' && !isSkipped(item)).map(item => {
+            const marker = ordered ? `${number++}. ` : '- ';
+            const text = children(item).trim().replace(/\n{2,}/g, '\n');
+            return marker + text.replace(/\n/g, `\n${' '.repeat(marker.length)}`);
+          });
+          return block(items.join('\n'));
+        };
+        
+        const table = (element) => {
+          const rows = Array.from(element.rows).map(row =>
+            Array.from(row.cells).map(cell => inlineText(cell).replace(/\|/g, '\\|'))
+          ).filter(cells => cells.some(Boolean));
+          if (rows.length === 0) return '';
+          const width = Math.max(...rows.map(cells => cells.length));
+          const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+          return block([line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'));
+        };
+        
+        const convert = (node) => {
+          if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+          if (node.nodeType !== Node.ELEMENT_NODE || isSkipped(node)) return '';
+          
+          const tag = node.tagName.toUpperCase();
+          switch (tag) {
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+              const text = inlineText(node);
+              return text ? block(`${'#'.repeat(Number(tag[1]))} ${text}`) : '';
+            }
+            case 'BR':
+              return '\n';
+            case 'HR':
+              return block('---');
+            case 'STRONG': case 'B':
+              return wrap(children(node), '**');
+            case 'EM': case 'I':
+              return wrap(children(node), '_');
+            case 'DEL': case 'S': case 'STRIKE':
+              return wrap(children(node), '~~');
+            case 'CODE':
+              return node.textContent ? `\`${node.textContent}\`` : '';
+            case 'PRE': {
+              const language = ((node.querySelector('code') || node).className.match(/language-(\S+)/) || [])[1] || '';
+              return block(`\`\`\`${language}\n${node.textContent.replace(/\n$/, '')}\n\`\`\``);
+            }
+            case 'A': {
+              const text = inlineText(node);
+              const href = node.getAttribute('href');
+              if (!text || !href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+              return `[${text}](${node.href})`;
+            }
+            case 'IMG': {
+              const alt = (node.getAttribute('alt') || '').trim();
+              if (!alt) return '';
+              return node.src && !node.src.startsWith('data:') ? `![${alt}](${node.src})` : `![${alt}]`;
+            }
+            case 'UL': case 'OL':
+              return list(node);
+            case 'SLOT': {
+              const assigned = node.assignedNodes({ flatten: true });
+              return assigned.length > 0 ? assigned.map(convert).join('') : children(node);
+            }
+            case 'TABLE':
+              return table(node);
+            case 'BLOCKQUOTE':
+              return block(children(node).trim().split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+            case 'DT':
+              return block(`**${inlineText(node)}**`);
+            case 'DD':
+              return block(`: ${children(node).trim()}`);
+            default:
+              return INLINE.has(tag) ? children(node) : block(children(node));
+          }
+        };
+        
+        // Text at the start of a line loses its leading space so it doesn't turn into indentation
+        const children = (element) => {
+          let out = '';
+          for (const child of (element.shadowRoot || element).childNodes) {
+            let part = convert(child);
+            if (!part) continue;
+            if (out === '' || out.endsWith('\n')) part = part.replace(/^ +/, '');
+            out += part;
+          }
+          return out;
+        };
+        
+        const markdown = convert(root)
+          .replace(/[ \t]+\n/g, '\n')
+          .replace(/\n{3,}/g, '\n\n')
+          .trim();
+        
+        return {
+          found: true,
+          title: document.title,
+          url: window.location.href,
+          root: helpers.uniqueSelector(root),
+          source,
+          markdown
+        };
+      }, helpers, selector, index);
+      await helpers.dispose();
+      
+      if (!content.found) {
+        return { success: false, error: this.describeMissingMatch(selector, index, content.count) };
+      }
+      
+      const { found, markdown, ...info } = content;
+      let text = markdown;
+      const truncated = maxLength !== null && markdown.length > maxLength;
+      if (truncated) {
+        // Prefer to cut at a paragraph break when one is reasonably close to the limit
+        text = markdown.slice(0, maxLength);
+        const paragraphEnd = text.lastIndexOf('\n\n');
+        if (paragraphEnd > maxLength / 2) {
+          text = text.slice(0, paragraphEnd);
+        }
+        text += '\n\n…';
+      }
+      
+      return { success: true, ...info, length: markdown.length, truncated, markdown: text };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // A normalized tree of the page or an element for snapshots: sorted attributes, collapsed whitespace,
+  // live form values as attributes, open shadow roots, and no script or style contents
+  async captureDom(selector = null, sessionName = 'default', options = {}) {
+    const { frame = null, index = 0 } = options;
+    
+    // Run inside the session daemon unless this instance holds the browser
+    if (!this.isAttachedTo(sessionName)) {
+      return this.sendCommand(sessionName, 'dom', { selector, options });
+    }
+    
+    if (!this.page) {
+      throw new Error('No active session. Use --start to create a session first.');
+    }
+    
+    try {
+      const context = await this.resolveFrame(frame);
+      const helpers = await this.createPageHelpers(context);
+      const capture = await context.evaluate((helpers, sel, matchIndex, hiddenValue) => {
+        const matches = sel ? helpers.queryAll(document, sel) : [document.documentElement];
+        const root = matches[matchIndex];
+        if (!root) {
+          return { found: false, count: matches.length };
+        }
+        
+        const OPAQUE = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+        const serialize = (node) => {
+          if (node.nodeType === Node.TEXT_NODE) {
+            const text = node.textContent.replace(/\s+/g, ' ').trim();
+            return text ? { text } : null;
+          }
+          if (node.nodeType !== Node.ELEMENT_NODE) {
+            return null;
+          }
+          
+          const tag = node.tagName.toLowerCase();
+          const attributes = {};
+          for (const { name, value } of node.attributes) {
+            attributes[name] = value;
+          }
+          // What the user typed or toggled lives in properties, not attributes
+          if (['input', 'textarea', 'select'].includes(tag)) {
+            attributes.value = node.type === 'password' && node.value ? hiddenValue : node.value;
+          }
+          if (tag === 'input' && (node.type === 'checkbox' || node.type === 'radio')) {
+            delete attributes.checked;
+            if (node.checked) attributes.checked = '';
+          }
+          if (tag === 'option') {
+            delete attributes.selected;
+            if (node.selected) attributes.selected = '';
+          }
+          
+          const element = {
+            tag,
+            attributes: Object.fromEntries(Object.entries(attributes).sort(([a], [b]) => (a < b ? -1 : 1))),
+            children: OPAQUE.has(node.tagName) ? [] : Array.from(node.childNodes).map(serialize).filter(Boolean)
+          };
+          if (node.shadowRoot) {
+            element.shadow = Array.from(node.shadowRoot.childNodes).map(serialize).filter(Boolean);
+          }
+          return element;
+        };
+        
+        return {
+          found: true,
+          url: window.location.href,
+          title: document.title,
+          count: matches.length,
+          text: (root === document.documentElement ? document.body : root).innerText,
+          tree: serialize(root)
+        };
+      }, helpers, selector, index, HIDDEN_VALUE);
+      await helpers.dispose();
+      
+      if (!capture.found) {
+        return { success: false, error: this.describeMissingMatch(selector, index, capture.count) };
+      }
+      
+      const { found, ...dom } = capture;
+      return { success: true, ...dom };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  describeMissingMatch(selector, index, count) {
+    return count > 0 && index > 0
+      ? `Only ${count} element(s) match ${selector}; there is no index ${index}`
+      : `Element not found: ${selector}`;
+  }
+
+  formatOutput(data, format = 'json', outputFile = null) {
+    let output;
+    
+    switch (format) {
+      case 'pretty':
+        output = this.safeStringify(data, null, 2);
+        break;
+      case 'json':
+      default:
+        output = this.safeStringify(data);
+        break;
+    }
+    
+    if (outputFile) {
+      const resolvedPath = resolve(outputFile);
+      writeFileSync(resolvedPath, output);
+      this.logger.success(`Output saved to: ${resolvedPath}`);
+    } else {
+      console.log(output);
+    }
+    
+    return output;
+  }
+
+  async cleanup() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.page = null;
+    }
+    this.currentUrl = null;
+  }
+}
+
+// Playbook steps use the CLI command names; the action's value is its argument and the other keys are its options
+const PLAYBOOK_ACTIONS = [
+  'navigate', 'refresh', 'execute', 'executeFile', 'crawl',
+  'view', 'selectors', 'forms', 'frames', 'locate', 'read', 'a11y', 'snapshot', 'diff', 'fill',
+  'click', 'type', 'press', 'hover', 'select', 'scroll', 'screenshot',
+  'tabs', 'newTab', 'switchTab', 'closeTab', 'exportStorage', 'importStorage', 'wait'
+];
+const STEP_KEYS = ['name', 'save', 'assert', 'continueOnError'];
+
+class PlaybookRunner {
+  constructor(navigator) {
+    this.navigator = navigator;
+    this.logger = navigator.logger;
+  }
+
+  async load(filename) {
+    const playbookPath = resolve(filename);
+    
+    let source;
+    try {
+      source = readFileSync(playbookPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Could not read playbook ${filename}: ${error.message}`);
+    }
+    
+    let playbook;
+    try {
+      if (/\.ya?ml$/i.test(playbookPath)) {
+        // Only YAML playbooks need the parser
+        const { parse } = await import('yaml');
+        playbook = parse(source);
+      } else {
+        playbook = JSON.parse(source);
+      }
+    } catch (error) {
+      throw new Error(`Could not parse playbook ${filename}: ${error.message}`);
+    }
+    
+    // A bare list of steps is a playbook too
+    if (Array.isArray(playbook)) {
+      playbook = { steps: playbook };
+    }
+    if (!playbook || typeof playbook !== 'object' || !Array.isArray(playbook.steps) || playbook.steps.length === 0) {
+      throw new Error(`Playbook ${filename} must have a non-empty "steps" list`);
+    }
+    
+    playbook.steps.forEach((step, index) => {
+      const actions = step && typeof step === 'object' ? Object.keys(step).filter(key => PLAYBOOK_ACTIONS.includes(key)) : [];
+      if (actions.length !== 1) {
+        throw new Error(`Step ${index + 1} of ${filename} must have exactly one action (${PLAYBOOK_ACTIONS.join(', ')})`);
+      }
+    });
+    
+    return { ...playbook, path: playbookPath };
+  }
+
+  getPath(value, path) {
+    if (!path) {
+      return value;
+    }
+    return String(path).split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+  }
+
+  lookup(path, variables) {
+    const [name, ...rest] = path.trim().split('.');
+    if (name === 'env') {
+      const envName = rest.join('.');
+      if (process.env[envName] === undefined) {
+        throw new Error(`Environment variable ${envName} is not set`);
+      }
+      return process.env[envName];
+    }
+    
+    if (!Object.hasOwn(variables, name)) {
+      throw new Error(`Unknown variable '${name}'`);
+    }
+    const value = this.getPath(variables[name], rest.join('.'));
+    if (value === undefined) {
+      throw new Error(`'${path}' is undefined`);
+    }
+    return value;
+  }
+
+  // ${name}, ${name.path} and ${env.NAME} placeholders; a string that is only a placeholder keeps the value's type
+  interpolate(value, variables) {
+    if (typeof value === 'string') {
+      const whole = /^\$\{([^}]+)\}$/.exec(value);
+      if (whole) {
+        return this.lookup(whole[1], variables);
+      }
+      return value.replace(/\$\{([^}]+)\}/g, (match, path) => {
+        const resolved = this.lookup(path, variables);
+        return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolate(item, variables));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.interpolate(item, variables)]));
+    }
+    return value;
+  }
+
+  // Input files are relative to the playbook, output files to the working directory like on the command line
+  runAction(action, argument, options, sessionName, baseDir) {
+    const navigator = this.navigator;
+    const optional = (value) => (typeof value === 'string' && value ? value : null);
+    
+    switch (action) {
+      case 'navigate':
+        return navigator.navigate(argument, sessionName, options);
+      case 'refresh':
+        return navigator.refreshPage(sessionName, options);
+      case 'execute':
+        return navigator.executeJavaScript(argument, sessionName, options);
+      case 'executeFile':
+        return navigator.executeScriptFile(resolve(baseDir, argument), sessionName, options);
+      case 'view':
+        return navigator.viewElement(optional(argument), sessionName, options);
+      case 'selectors':
+        return navigator.analyzeSelectors(optional(argument), sessionName, options);
+      case 'forms':
+        return navigator.analyzeForms(optional(argument), sessionName, options);
+      case 'frames':
+        return navigator.listFrames(sessionName);
+      case 'crawl':
+        return navigator.crawl(argument, sessionName, options);
+      case 'locate':
+        return navigator.locateElements(argument, sessionName, options);
+      case 'read':
+        return navigator.readPage(optional(argument), sessionName, options);
+      case 'a11y':
+        return navigator.getAccessibilityTree(optional(argument), sessionName, options);
+      case 'snapshot':
+        return typeof argument === 'object'
+          ? navigator.saveSnapshot(argument.name, argument.selector ?? null, sessionName, options)
+          : navigator.saveSnapshot(argument, null, sessionName, options);
+      case 'diff':
+        return navigator.diffSnapshot(argument, sessionName);
+      case 'fill':
+        return navigator.fillForm(argument, sessionName, options);
+      case 'click':
+        return navigator.click(argument, sessionName, options);
+      case 'type':
+        return navigator.type(argument.selector, argument.text, sessionName, options);
+      case 'press':
+        return navigator.press(argument, sessionName, options);
+      case 'hover':
+        return navigator.hover(argument, sessionName, options);
+      case 'select':
+        return navigator.select(argument.selector, argument.values ?? argument.value, sessionName, options);
+      case 'scroll':
+        return navigator.scroll(String(argument), sessionName, options);
+      case 'screenshot':
+        return navigator.takeScreenshot(optional(argument), sessionName);
+      case 'tabs':
+        return navigator.listTabs(sessionName);
+      case 'newTab':
+        return navigator.newTab(optional(argument), sessionName, options);
+      case 'switchTab':
+        return navigator.switchTab(argument, sessionName);
+      case 'closeTab':
+        return navigator.closeTab(typeof argument === 'number' ? argument : null, sessionName);
+      case 'exportStorage':
+        return navigator.exportStorageState(optional(argument), sessionName);
+      case 'importStorage':
+        return navigator.importStorageState(resolve(baseDir, argument), sessionName);
+      case 'wait':
+        if (typeof argument === 'number') {
+          return new Promise(resolve => setTimeout(() => resolve({ success: true, waited: argument }), argument));
+        }
+        return navigator.waitForPage({
+          waitForSelector: argument.selector,
+          visible: argument.visible,
+          waitForFunction: argument.function,
+          waitForUrl: argument.url,
+          selectorTimeout: argument.timeout,
+          functionTimeout: argument.timeout,
+          urlTimeout: argument.timeout
+        }, sessionName);
+    }
+  }
+
+  checkAssertion(assertion, value) {
+    const actual = this.getPath(value, assertion.path);
+    const checks = [];
+    
+    if ('equals' in assertion) {
+      checks.push(isDeepStrictEqual(actual, assertion.equals));
+    }
+    if ('notEquals' in assertion) {
+      checks.push(!isDeepStrictEqual(actual, assertion.notEquals));
+    }
+    if ('contains' in assertion) {
+      checks.push((typeof actual === 'string' || Array.isArray(actual)) && actual.includes(assertion.contains));
+    }
+    if ('matches' in assertion) {
+      checks.push(typeof actual === 'string' && new RegExp(assertion.matches).test(actual));
+    }
+    if ('exists' in assertion) {
+      checks.push((actual !== undefined && actual !== null) === assertion.exists);
+    }
+    if ('greaterThan' in assertion) {
+      checks.push(actual > assertion.greaterThan);
+    }
+    if ('lessThan' in assertion) {
+      checks.push(actual < assertion.lessThan);
+    }
+    // Without a comparison the value just has to be truthy
+    if ('truthy' in assertion || checks.length === 0) {
+      checks.push(Boolean(actual) === (assertion.truthy ?? true));
+    }
+    
+    return { ...assertion, actual, passed: checks.every(Boolean) };
+  }
+
+  async run(filename, sessionName = 'default', options = {}) {
+    const playbook = await this.load(filename);
+    const baseDir = dirname(playbook.path);
+    const variables = { ...(playbook.vars || {}), ...(options.vars || {}) };
+    const startTime = Date.now();
+    const steps = [];
+    let stopped = false;
+    
+    this.logger.info(`Running playbook ${playbook.name || basename(playbook.path)} (${playbook.steps.length} steps) in session '${sessionName}'`);
+    
+    for (const [index, step] of playbook.steps.entries()) {
+      const action = Object.keys(step).find(key => PLAYBOOK_ACTIONS.includes(key));
+      const name = step.name || `${action} ${typeof step[action] === 'string' ? step[action] : ''}`.trim();
+      const entry = { index: index + 1, name, action, status: 'skipped' };
+      steps.push(entry);
+      
+      if (stopped) {
+        continue;
+      }
+      
+      this.logger.info(`Step ${index + 1}/${playbook.steps.length}: ${name}`);
+      const stepStart = Date.now();
+      try {
+        // Code is left alone because JavaScript template literals use ${} too; pass variables with args instead
+        const argument = action === 'execute' ? step[action] : this.interpolate(step[action], variables);
+        const stepOptions = {};
+        for (const [key, value] of Object.entries(step)) {
+          if (key !== action && !STEP_KEYS.includes(key)) {
+            stepOptions[key] = this.interpolate(value, variables);
+          }
+        }
+        
+        const result = await this.runAction(action, argument, stepOptions, sessionName, baseDir);
+        entry.result = result;
+        if (result && result.success === false) {
+          throw new Error(result.error || `${action} failed`);
+        }
+        
+        // Scripts are judged by what they return, other steps by their whole result
+        const value = action === 'execute' || action === 'executeFile' ? result.result : result;
+        
+        if (typeof step.save === 'string') {
+          variables[step.save] = value;
+        } else if (step.save && typeof step.save === 'object') {
+          for (const [variable, path] of Object.entries(step.save)) {
+            variables[variable] = this.getPath(value, path);
+          }
+        }
+        
+        if (step.assert) {
+          const assertions = Array.isArray(step.assert) ? step.assert : [step.assert];
+          entry.assertions = assertions.map(assertion => this.checkAssertion(this.interpolate(assertion, variables), value));
+          const failed = entry.assertions.filter(assertion => !assertion.passed);
+          if (failed.length > 0) {
+            throw new Error(`${failed.length} assertion(s) failed: ${failed.map(assertion => `${assertion.path || 'result'} was ${JSON.stringify(assertion.actual)}`).join('; ')}`);
+          }
+        }
+        
+        entry.status = 'passed';
+        this.logger.success(`Step ${index + 1} passed`);
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+        this.logger.error(`Step ${index + 1} failed: ${error.message}`);
+        
+        if (!(step.continueOnError ?? playbook.continueOnError ?? false)) {
+          stopped = true;
+        }
+      } finally {
+        entry.durationMs = Date.now() - stepStart;
+      }
+    }
+    
+    const count = (status) => steps.filter(step => step.status === status).length;
+    const summary = { total: steps.length, passed: count('passed'), failed: count('failed'), skipped: count('skipped') };
+    
+    return {
+      success: summary.failed === 0 && summary.skipped === 0,
+      playbook: playbook.name || basename(playbook.path),
+      file: playbook.path,
+      session: sessionName,
+      startedAt: new Date(startTime).toISOString(),
+      durationMs: Date.now() - startTime,
+      summary,
+      steps,
+      variables
+    };
+  }
+}
+
+// Links to these files are listed but not visited: the browser would download them rather than render a page
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|tgz|tar|rar|7z|exe|dmg|msi|apk|iso|jpe?g|png|gif|webp|avif|svg|ico|bmp|mp3|mp4|m4a|wav|ogg|webm|avi|mov|css|js|mjs|json|xml|rss|txt|csv|woff2?|ttf|otf|eot|docx?|xlsx?|pptx?)$/i;
+
+// Breadth-first walk from a start URL through the session's active tab, one page at a time
+class SiteCrawler {
+  constructor(navigator) {
+    this.navigator = navigator;
+    this.logger = navigator.logger;
+  }
+
+  // Fragments name places within a page, so they are dropped; other schemes are not crawlable
+  normalizeUrl(href) {
+    try {
+      const url = new URL(href);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;
+      }
+      url.hash = '';
+      return url.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  createFilter(startUrl, { sameOrigin = true, include = [], exclude = [] }) {
+    const origin = new URL(startUrl).origin;
+    const includes = include.map(pattern => this.navigator.createUrlMatcher(pattern));
+    const excludes = exclude.map(pattern => this.navigator.createUrlMatcher(pattern));
+    
+    return (url) => {
+      if (sameOrigin && new URL(url).origin !== origin) return false;
+      if (includes.length > 0 && !includes.some(matches => matches(url))) return false;
+      return !excludes.some(matches => matches(url));
+    };
+  }
+
+  createSitemap(pages) {
+    const escape = (text) => text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+    const urls = [...new Set(pages
+      .filter(page => !page.error && (page.status === null || (page.status >= 200 && page.status < 300)))
+      .map(page => page.url))];
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...urls.map(url => `  <url><loc>${escape(url)}</loc></url>`),
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  async visit(url, sessionName, options) {
+    const navigator = this.navigator;
+    const navigation = await navigator.navigate(url, sessionName, options.wait || {});
+    const page = {
+      url: navigation.pageInfo.url,
+      status: navigation.status ?? null,
+      title: navigation.pageInfo.title,
+      ready: navigation.pageInfo.ready
+    };
+    if (page.url !== url) {
+      page.requestedUrl = url;
+    }
+    
+    const links = await navigator.collectLinks(sessionName);
+    page.links = [...new Set(links.links.map(href => this.normalizeUrl(href)).filter(Boolean))];
+    
+    if (options.extract) {
+      const extracted = await navigator.executeJavaScript(options.extract, sessionName, { args: { url: page.url, title: page.title } });
+      if (extracted.success) {
+        page.fields = extracted.result;
+      } else {
+        page.extractError = extracted.error;
+      }
+    }
+    
+    return page;
+  }
+
+  async run(startUrl, sessionName = 'default', options = {}) {
+    const { maxDepth = 2, maxPages = 50, sameOrigin = true, include = [], exclude = [], delay = 500, sitemap = null } = options;
+    const start = this.normalizeUrl(startUrl);
+    if (!start) {
+      throw new Error(`Cannot crawl ${startUrl}: only http and https URLs can be crawled`);
+    }
+    
+    const isAllowed = this.createFilter(start, { sameOrigin, include, exclude });
+    const startTime = Date.now();
+    const queue = [{ url: start, depth: 0, referrer: null }];
+    const seen = new Set([start]);
+    const pages = [];
+    
+    this.logger.info(`Crawling ${start} (depth ${maxDepth}, up to ${maxPages} pages) in session '${sessionName}'`);
+    
+    while (queue.length > 0 && pages.length < maxPages) {
+      const { url, depth, referrer } = queue.shift();
+      if (pages.length > 0 && delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      
+      this.logger.info(`Page ${pages.length + 1}/${maxPages} (depth ${depth}): ${url}`);
+      const visitStart = Date.now();
+      let page;
+      try {
+        page = { ...await this.visit(url, sessionName, options), depth, referrer };
+        seen.add(page.url);
+        
+        // Links of pages that redirected somewhere outside the filters are recorded but not followed;
+        // the start page is always followed, as include patterns usually describe the pages below it
+        if (depth < maxDepth && (depth === 0 || isAllowed(page.url))) {
+          for (const link of page.links) {
+            if (!seen.has(link) && isAllowed(link) && !NON_PAGE_EXTENSIONS.test(new URL(link).pathname)) {
+              seen.add(link);
+              queue.push({ url: link, depth: depth + 1, referrer: page.url });
+            }
+          }
+        }
+      } catch (error) {
+        page = { url, depth, referrer, error: error.message };
+        this.logger.error(`Failed to crawl ${url}: ${error.message}`);
+      }
+      page.durationMs = Date.now() - visitStart;
+      pages.push(page);
+    }
+    
+    let sitemapPath = null;
+    if (sitemap) {
+      sitemapPath = resolve(sitemap);
+      writeFileSync(sitemapPath, this.createSitemap(pages));
+      this.logger.success(`Sitemap saved to: ${sitemapPath}`);
+    }
+    
+    const failed = pages.filter(page => page.error).length;
+    return {
+      success: pages.length > 0 && !pages[0].error,
+      start,
+      session: sessionName,
+      startedAt: new Date(startTime).toISOString(),
+      durationMs: Date.now() - startTime,
+      options: { maxDepth, maxPages, sameOrigin, include, exclude, delay },
+      summary: {
+        visited: pages.length - failed,
+        failed,
+        notVisited: queue.length,
+        discovered: new Set([...seen, ...pages.flatMap(page => page.links || [])]).size
+      },
+      sitemap: sitemapPath,
+      pages
+    };
+  }
+}
 
-        return val;
-      };
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
 
-      return JSON.stringify(value, circularReplacer, space);
-    } catch (error) {
-      this.logger.warn('Safe JSON serialization failed:', error);
-      return `[Serialization Error: ${error.message}]`;
-    }
+// Named DOM snapshots stored with the session, and structural diffs of the live DOM against them
+class DomSnapshots {
+  constructor(navigator) {
+    this.navigator = navigator;
+    this.logger = navigator.logger;
+    this.sessionManager = navigator.sessionManager;
+    this.subtreeIds = new WeakMap();
+    this.subtreeKeys = new Map();
   }
 
-  async executeJavaScript(code, sessionName = 'default') {
-    this.logger.debug(`Executing JavaScript: ${code}`);
+  // One tag or text per line, indented, so a line diff of two snapshots reads like a diff of the markup
+  toLines(node, depth = 0, lines = []) {
+    const indent = '  '.repeat(depth);
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     
-    // Require active session
-    if (!this.currentSession || this.currentSession.name !== sessionName) {
-      await this.connectToSession(sessionName);
+    if (node.text !== undefined) {
+      lines.push(indent + escape(node.text));
+      return lines;
     }
     
-    if (!this.page) {
-      throw new Error('No active session. Use --start to create a session first.');
+    const attributes = Object.entries(node.attributes)
+      .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escape(value).replace(/"/g, '&quot;')}"`))
+      .join('');
+    const open = `<${node.tag}${attributes}>`;
+    
+    if (VOID_ELEMENTS.has(node.tag)) {
+      lines.push(indent + open);
+    } else if (!node.shadow && node.children.length === 0) {
+      lines.push(`${indent}${open}</${node.tag}>`);
+    } else if (!node.shadow && node.children.length === 1 && node.children[0].text !== undefined && node.children[0].text.length <= 80) {
+      lines.push(`${indent}${open}${escape(node.children[0].text)}</${node.tag}>`);
+    } else {
+      lines.push(indent + open);
+      if (node.shadow) {
+        lines.push(`${indent}  <template shadowrootmode="open">`);
+        node.shadow.forEach(child => this.toLines(child, depth + 2, lines));
+        lines.push(`${indent}  </template>`);
+      }
+      node.children.forEach(child => this.toLines(child, depth + 1, lines));
+      lines.push(`${indent}</${node.tag}>`);
+    }
+    return lines;
+  }
+
+  describeNode(node) {
+    if (node.text !== undefined) {
+      return { text: node.text };
     }
+    const html = this.toLines(node).map(line => line.trim()).join('');
+    return { html: html.length > 300 ? `${html.slice(0, 300)}…` : html };
+  }
+
+  // Index pairs of a longest common subsequence of two lists, found with Myers' diff in linear space:
+  // common ends are paired off, and what is left is split where the shortest edit paths from either end meet
+  longestCommonPairs(listA, listB) {
+    // Items that only one list has can never pair, and leaving them out keeps unrelated lists fast
+    const [inA, inB] = [new Set(listA), new Set(listB)];
+    const keptA = listA.flatMap((item, index) => (inB.has(item) ? [index] : []));
+    const keptB = listB.flatMap((item, index) => (inA.has(item) ? [index] : []));
+    const [a, b] = [keptA.map(index => listA[index]), keptB.map(index => listB[index])];
+    const pairs = [];
     
-    try {
-      // Execute the code and get the result
-      const result = await this.page.evaluate((codeToExecute) => {
-        try {
-          // Use indirect eval to execute in global scope
-          const globalEval = window.eval;
-          const rawResult = globalEval(codeToExecute);
-          
-          // Try to create a safe representation of the result
-          const safeResult = (() => {
-            if (rawResult === null || rawResult === undefined) {
-              return rawResult;
-            }
-            
-            if (typeof rawResult === 'function') {
-              return {
-                _type: 'function',
-                name: rawResult.name || 'anonymous',
-                length: rawResult.length,
-                toString: rawResult.toString()
-              };
-            }
-            
-            if (typeof rawResult === 'object') {
-              // Handle arrays
-              if (Array.isArray(rawResult)) {
-                return rawResult; // Return full array
-              }
-              
-              // For objects, try to serialize safely
-              try {
-                JSON.stringify(rawResult);
-                return rawResult; // If it can be stringified, return as-is
-              } catch (e) {
-                // If circular or problematic, create safe representation
-                if (rawResult.constructor) {
-                  return {
-                    _type: 'object',
-                    constructor: rawResult.constructor.name,
-                    keys: Object.keys(rawResult),
-                    _note: 'Complex object - use specific properties to inspect'
-                  };
-                }
-                return '[Complex Object - Cannot Serialize]';
-              }
-            }
-            
-            return rawResult;
-          })();
-          
-          return { success: true, result: safeResult };
-        } catch (executionError) {
-          return { success: false, error: executionError.message, stack: executionError.stack };
+    // The point where the forward and backward paths through a[aStart, aEnd) and b[bStart, bEnd) overlap
+    const middle = (aStart, aEnd, bStart, bEnd) => {
+      const [n, m] = [aEnd - aStart, bEnd - bStart];
+      const limit = Math.ceil((n + m) / 2);
+      const offset = limit + 1;
+      const forward = new Int32Array(2 * limit + 3).fill(-1);
+      const backward = new Int32Array(2 * limit + 3).fill(-1);
+      forward[offset + 1] = 0;
+      backward[offset + 1] = 0;
+      const delta = n - m;
+      const odd = delta % 2 !== 0;
+      
+      for (let d = 0; d <= limit; d++) {
+        for (let k = -d; k <= d; k += 2) {
+          let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]) ? forward[offset + k + 1] : forward[offset + k - 1] + 1;
+          let y = x - k;
+          while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+            x++;
+            y++;
+          }
+          forward[offset + k] = x;
+          if (x > n || y > m) continue;
+          const reverse = offset + delta - k;
+          if (odd && reverse >= 0 && reverse < backward.length && backward[reverse] !== -1 && x >= n - backward[reverse]) {
+            return [aStart + x, bStart + y];
+          }
+        }
+        for (let k = -d; k <= d; k += 2) {
+          let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]) ? backward[offset + k + 1] : backward[offset + k - 1] + 1;
+          let y = x - k;
+          while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+            x++;
+            y++;
+          }
+          backward[offset + k] = x;
+          if (x > n || y > m) continue;
+          const ahead = offset + delta - k;
+          if (!odd && ahead >= 0 && ahead < forward.length && forward[ahead] !== -1 && forward[ahead] >= n - x) {
+            const forwardX = forward[ahead];
+            return [aStart + forwardX, bStart + forwardX - (delta - k)];
+          }
+        }
+      }
+      return null;
+    };
+    
+    const compare = (aStart, aEnd, bStart, bEnd) => {
+      while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        pairs.push([aStart++, bStart++]);
+      }
+      let suffix = 0;
+      while (aStart < aEnd - suffix && bStart < bEnd - suffix && a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]) {
+        suffix++;
+      }
+      if (aStart < aEnd - suffix && bStart < bEnd - suffix) {
+        const split = middle(aStart, aEnd - suffix, bStart, bEnd - suffix);
+        if (split) {
+          compare(aStart, split[0], bStart, split[1]);
+          compare(split[0], aEnd - suffix, split[1], bEnd - suffix);
         }
-      }, code);
+      }
+      for (let i = suffix; i > 0; i--) {
+        pairs.push([aEnd - i, bEnd - i]);
+      }
+    };
+    
+    compare(0, a.length, 0, b.length);
+    return pairs.map(([i, j]) => [keptA[i], keptB[j]]);
+  }
 
-      if (result.success) {
-        return { success: true, result: result.result };
-      } else {
-        return { 
-          success: false, 
-          error: result.error,
-          stack: result.stack
-        };
+  // Equal subtrees get the same number. Each node is keyed once from its children's numbers, so
+  // comparing lists of children never serializes whole subtrees
+  subtreeId(node) {
+    let id = this.subtreeIds.get(node);
+    if (id === undefined) {
+      const key = node.text !== undefined
+        ? JSON.stringify(node.text)
+        : JSON.stringify([node.tag, node.attributes, node.children.map(child => this.subtreeId(child)), node.shadow?.map(child => this.subtreeId(child)) ?? null]);
+      if (!this.subtreeKeys.has(key)) {
+        this.subtreeKeys.set(key, this.subtreeKeys.size);
       }
-    } catch (error) {
-      return { success: false, error: error.message };
+      id = this.subtreeKeys.get(key);
+      this.subtreeIds.set(node, id);
     }
+    return id;
   }
 
-  async takeScreenshot(filename = null, sessionName = 'default') {
-    if (!filename) {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      filename = `websource-browser-screenshot-${timestamp}.png`;
+  // Unchanged children anchor the match; between anchors, changed children pair up by tag and id (text
+  // with text), so an insertion into a list shows up as one added node rather than every later one changing
+  matchChildren(before, after) {
+    const key = (node) => (node.text !== undefined ? '#text' : `${node.tag}#${node.attributes.id || ''}`);
+    const anchors = this.longestCommonPairs(before.map(node => this.subtreeId(node)), after.map(node => this.subtreeId(node)));
+    const pairs = [];
+    let [lastBefore, lastAfter] = [-1, -1];
+    
+    for (const [anchorBefore, anchorAfter] of [...anchors, [before.length, after.length]]) {
+      const changedBefore = before.slice(lastBefore + 1, anchorBefore).map(key);
+      const changedAfter = after.slice(lastAfter + 1, anchorAfter).map(key);
+      for (const [i, j] of this.longestCommonPairs(changedBefore, changedAfter)) {
+        pairs.push([lastBefore + 1 + i, lastAfter + 1 + j]);
+      }
+      if (anchorBefore < before.length) {
+        pairs.push([anchorBefore, anchorAfter]);
+      }
+      [lastBefore, lastAfter] = [anchorBefore, anchorAfter];
+    }
+    return pairs;
+  }
+
+  diffTrees(before, after, path, changes = []) {
+    if (before.tag !== after.tag) {
+      changes.push({ type: 'removed', path, ...this.describeNode(before) });
+      changes.push({ type: 'added', path, ...this.describeNode(after) });
+      return changes;
     }
     
-    this.logger.debug(`Taking screenshot: ${filename}`);
+    const names = new Set([...Object.keys(before.attributes), ...Object.keys(after.attributes)]);
+    for (const name of [...names].sort()) {
+      const [old, current] = [before.attributes[name] ?? null, after.attributes[name] ?? null];
+      if (old !== current) {
+        changes.push({ type: 'attribute', path, name, before: old, after: current });
+      }
+    }
     
-    // Require active session
-    if (!this.currentSession || this.currentSession.name !== sessionName) {
-      await this.connectToSession(sessionName);
+    this.diffChildren(before.children, after.children, path, ' > ', changes);
+    if (before.shadow || after.shadow) {
+      this.diffChildren(before.shadow || [], after.shadow || [], path, ' >>> ', changes);
     }
+    return changes;
+  }
+
+  diffChildren(before, after, path, combinator, changes) {
+    // Paths use the id where there is one, otherwise the position among the element children
+    const positions = (nodes) => {
+      let position = 0;
+      return nodes.map(node => (node.text !== undefined ? 0 : ++position));
+    };
+    const [beforePositions, afterPositions] = [positions(before), positions(after)];
+    const childPath = (nodes, index) => {
+      const node = nodes[index];
+      if (node.text !== undefined) return path;
+      const position = (nodes === before ? beforePositions : afterPositions)[index];
+      return `${path}${combinator}${node.tag}${node.attributes.id ? `#${node.attributes.id}` : `:nth-child(${position})`}`;
+    };
     
-    if (!this.page) {
-      throw new Error('No active session. Use --start to create a session first.');
+    const pairs = this.matchChildren(before, after);
+    const pairedBefore = new Set(pairs.map(([i]) => i));
+    const pairedAfter = new Set(pairs.map(([, j]) => j));
+    
+    before.forEach((node, i) => {
+      if (!pairedBefore.has(i)) changes.push({ type: 'removed', path: childPath(before, i), ...this.describeNode(node) });
+    });
+    after.forEach((node, j) => {
+      if (!pairedAfter.has(j)) changes.push({ type: 'added', path: childPath(after, j), ...this.describeNode(node) });
+    });
+    for (const [i, j] of pairs) {
+      if (before[i].text !== undefined) {
+        if (before[i].text !== after[j].text) {
+          changes.push({ type: 'text', path, before: before[i].text, after: after[j].text });
+        }
+      } else if (this.subtreeId(before[i]) !== this.subtreeId(after[j])) {
+        this.diffTrees(before[i], after[j], childPath(after, j), changes);
+      }
     }
+  }
+
+  // A unified diff of the two line listings with three lines of context
+  unifiedDiff(beforeLines, afterLines, beforeLabel, afterLabel) {
+    let prefix = 0;
+    while (prefix < beforeLines.length && prefix < afterLines.length && beforeLines[prefix] === afterLines[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < beforeLines.length - prefix && suffix < afterLines.length - prefix &&
+      beforeLines[beforeLines.length - 1 - suffix] === afterLines[afterLines.length - 1 - suffix]) suffix++;
     
-    try {
-      const screenshotPath = resolve(filename);
-      await this.page.screenshot({ path: screenshotPath, fullPage: true });
-      this.logger.success(`Screenshot saved: ${screenshotPath}`);
-      return { success: true, path: screenshotPath };
-    } catch (error) {
-      return { success: false, error: error.message };
+    const a = beforeLines.slice(prefix, beforeLines.length - suffix);
+    const b = afterLines.slice(prefix, afterLines.length - suffix);
+    if (a.length === 0 && b.length === 0) {
+      return '';
+    }
+    const operations = beforeLines.slice(0, prefix).map(line => [' ', line]);
+    let [i, j] = [0, 0];
+    for (const [matchA, matchB] of [...this.longestCommonPairs(a, b), [a.length, b.length]]) {
+      while (i < matchA) operations.push(['-', a[i++]]);
+      while (j < matchB) operations.push(['+', b[j++]]);
+      if (matchA < a.length) {
+        operations.push([' ', a[i++]]);
+        j++;
+      }
+    }
+    operations.push(...beforeLines.slice(beforeLines.length - suffix).map(line => [' ', line]));
+    
+    // Line numbers on each side where every operation starts
+    const beforeNumbers = [];
+    const afterNumbers = [];
+    operations.reduce(([before, after], [type], index) => {
+      beforeNumbers[index] = before;
+      afterNumbers[index] = after;
+      return [before + (type === '+' ? 0 : 1), after + (type === '-' ? 0 : 1)];
+    }, [1, 1]);
+    
+    // Group changed lines that are close together into hunks
+    const context = 3;
+    const lines = [`--- ${beforeLabel}`, `+++ ${afterLabel}`];
+    const changed = operations.map((operation, index) => (operation[0] === ' ' ? -1 : index)).filter(index => index !== -1);
+    let hunkStart = 0;
+    while (hunkStart < changed.length) {
+      let hunkEnd = hunkStart;
+      while (hunkEnd + 1 < changed.length && changed[hunkEnd + 1] - changed[hunkEnd] <= context * 2 + 1) hunkEnd++;
+      const from = Math.max(0, changed[hunkStart] - context);
+      const to = Math.min(operations.length, changed[hunkEnd] + context + 1);
+      
+      const hunk = operations.slice(from, to);
+      const beforeCount = hunk.filter(([type]) => type !== '+').length;
+      const afterCount = hunk.filter(([type]) => type !== '-').length;
+      lines.push(`@@ -${beforeNumbers[from]},${beforeCount} +${afterNumbers[from]},${afterCount} @@`);
+      lines.push(...hunk.map(([type, line]) => type + line));
+      hunkStart = hunkEnd + 1;
     }
+    return lines.join('\n');
   }
 
-  async viewElement(selector = null, sessionName = 'default') {
-    this.logger.debug(`Viewing element: ${selector || 'entire page'}`);
+  async save(name, selector = null, sessionName = 'default', options = {}) {
+    const { frame = null, index = 0 } = options;
+    this.sessionManager.validateSnapshotName(name);
     
-    // Require active session
-    if (!this.currentSession || this.currentSession.name !== sessionName) {
-      await this.connectToSession(sessionName);
+    const dom = await this.navigator.captureDom(selector, sessionName, { frame, index });
+    if (!dom.success) {
+      return dom;
     }
     
-    if (!this.page) {
-      throw new Error('No active session. Use --start to create a session first.');
+    const snapshot = {
+      name,
+      session: sessionName,
+      createdAt: new Date().toISOString(),
+      url: dom.url,
+      title: dom.title,
+      selector,
+      frame,
+      index,
+      text: dom.text,
+      html: this.toLines(dom.tree).join('\n'),
+      tree: dom.tree
+    };
+    const path = this.sessionManager.writeSnapshot(sessionName, name, snapshot);
+    this.logger.success(`Snapshot '${name}' saved: ${selector || 'entire page'}`);
+    
+    return { success: true, name, path, url: dom.url, selector, createdAt: snapshot.createdAt, lines: snapshot.html.split('\n').length };
+  }
+
+  // Compares the live DOM at the snapshot's selector and frame (unless options override them)
+  async diff(name, sessionName = 'default', options = {}) {
+    const snapshot = this.sessionManager.readSnapshot(sessionName, name);
+    if (!snapshot) {
+      const saved = this.sessionManager.listSnapshots(sessionName);
+      return {
+        success: false,
+        error: `No snapshot '${name}' in session '${sessionName}'. ${saved.length > 0 ? `Saved snapshots: ${saved.join(', ')}` : 'Save one with --snapshot first.'}`
+      };
+    }
+    
+    const selector = options.selector ?? snapshot.selector;
+    const dom = await this.navigator.captureDom(selector, sessionName, {
+      frame: options.frame ?? snapshot.frame,
+      index: options.index ?? snapshot.index
+    });
+    if (!dom.success) {
+      return dom;
     }
     
+    const root = selector || snapshot.tree.tag;
+    const changes = this.diffTrees(snapshot.tree, dom.tree, root);
+    const count = (type) => changes.filter(change => change.type === type).length;
+    const html = this.toLines(dom.tree).join('\n');
+    
+    return {
+      success: true,
+      name,
+      snapshotUrl: snapshot.url,
+      url: dom.url,
+      selector,
+      savedAt: snapshot.createdAt,
+      changed: changes.length > 0,
+      summary: { added: count('added'), removed: count('removed'), attributes: count('attribute'), text: count('text') },
+      changes,
+      unified: this.unifiedDiff(snapshot.html.split('\n'), html.split('\n'), `snapshot ${name} (${snapshot.createdAt})`, `live ${dom.url}`)
+    };
+  }
+}
+
+const REPL_COMMANDS = {
+  '.navigate <url>': 'Navigate to a URL',
+  '.refresh': 'Reload the current page',
+  '.view [selector]': 'Inspect the page or an element',
+  '.selectors [selector]': 'Analyze selectors on the page or within an element',
+  '.screenshot [file.png]': 'Capture a screenshot',
+  '.tabs [id]': 'List tabs, or switch to the tab with this ID',
+  '.break': 'Discard the multi-line input typed so far',
+  '.help': 'Show these commands',
+  '.exit': 'Leave the REPL (the session keeps running)'
+};
+
+class SessionRepl {
+  constructor(navigator, sessionName = 'default') {
+    this.navigator = navigator;
+    this.logger = navigator.logger;
+    this.sessionName = sessionName;
+    this.historyFile = join(homedir(), '.local', 'lib', 'websource-browser', 'history', `${sessionName}.history`);
+    this.historySize = 1000;
+    this.buffer = [];
+  }
+
+  loadHistory() {
     try {
-      if (!selector) {
-        // Return full page content
-        const pageContent = await this.page.evaluate(() => {
-          return {
-            title: document.title,
-            url: window.location.href,
-            html: document.documentElement.outerHTML,
-            text: document.body.innerText
-          };
-        });
-        return { success: true, page: pageContent };
-      } else {
-        // Return element-specific information
-        const elementInfo = await this.page.evaluate((sel) => {
-          const element = document.querySelector(sel);
-          if (!element) {
-            return { found: false };
-          }
-          
-          const computed = window.getComputedStyle(element);
-          const rect = element.getBoundingClientRect();
-          
-          return {
-            found: true,
-            tagName: element.tagName,
-            id: element.id,
-            className: element.className,
-            textContent: element.textContent,
-            attributes: Array.from(element.attributes).reduce((attrs, attr) => {
-              attrs[attr.name] = attr.value;
-              return attrs;
-            }, {}),
-            boundingBox: {
-              x: rect.x,
-              y: rect.y,
-              width: rect.width,
-              height: rect.height
-            },
-            computed: {
-              display: computed.display,
-              position: computed.position,
-              visibility: computed.visibility,
-              opacity: computed.opacity,
-              zIndex: computed.zIndex,
-              backgroundColor: computed.backgroundColor,
-              color: computed.color,
-              fontSize: computed.fontSize,
-              fontFamily: computed.fontFamily
-            },
-            isVisible: rect.width > 0 && rect.height > 0 && computed.visibility !== 'hidden' && computed.display !== 'none'
-          };
-        }, selector);
-        
-        if (!elementInfo.found) {
-          return { success: false, error: `Element not found: ${selector}` };
-        }
-        
-        return { success: true, element: elementInfo };
-      }
+      // Stored oldest first like a shell history; readline wants the newest first
+      return readFileSync(this.historyFile, 'utf8').split('\n').filter(Boolean).reverse().slice(0, this.historySize);
     } catch (error) {
-      return { success: false, error: error.message };
+      return [];
     }
   }
 
-  formatOutput(data, format = 'json', outputFile = null) {
-    let output;
+  saveHistory(history) {
+    try {
+      mkdirSync(dirname(this.historyFile), { recursive: true, mode: 0o700 });
+      writeFileSync(this.historyFile, [...history].reverse().join('\n') + '\n', { mode: 0o600 });
+    } catch (error) {
+      this.logger.debug(`Could not save REPL history: ${error.message}`);
+    }
+  }
+
+  // True while the code stops short of being a program: an open bracket, template literal or block comment.
+  // Other syntax errors, such as an unterminated string, are complete input for the page to report
+  async isIncomplete(code) {
+    const { parse } = await import('acorn');
+    try {
+      parse(code, { ecmaVersion: 'latest', allowAwaitOutsideFunction: true, allowReturnOutsideFunction: true });
+      return false;
+    } catch (error) {
+      return error.pos === code.length || /^Unterminated (template|comment)/.test(error.message);
+    }
+  }
+
+  print(value) {
+    console.log(value === undefined ? 'undefined' : this.navigator.safeStringify(value, null, 2));
+  }
+
+  async runCommand(line) {
+    const [command, ...rest] = line.trim().split(/\s+/);
+    const argument = rest.join(' ') || null;
+    const navigator = this.navigator;
+    const sessionName = this.sessionName;
     
-    switch (format) {
-      case 'pretty':
-        output = this.safeStringify(data, null, 2);
+    switch (command) {
+      case '.navigate':
+        if (!argument) {
+          throw new Error('.navigate requires a URL');
+        }
+        this.print((await navigator.navigate(argument, sessionName)).pageInfo);
         break;
-      case 'json':
-      default:
-        output = this.safeStringify(data);
+      case '.refresh':
+        this.print((await navigator.refreshPage(sessionName)).pageInfo);
+        break;
+      case '.view':
+        this.print(await navigator.viewElement(argument, sessionName));
+        break;
+      case '.selectors':
+        this.print(await navigator.analyzeSelectors(argument, sessionName));
+        break;
+      case '.screenshot': {
+        const result = await navigator.takeScreenshot(argument, sessionName);
+        if (!result.success) {
+          throw new Error(`Screenshot failed: ${result.error}`);
+        }
+        this.logger.success(`Screenshot saved: ${result.path}`);
         break;
+      }
+      case '.tabs':
+        this.print(argument ? (await navigator.switchTab(parseInt(argument), sessionName)).tab : (await navigator.listTabs(sessionName)).tabs);
+        break;
+      case '.help':
+        for (const [usage, description] of Object.entries(REPL_COMMANDS)) {
+          console.log(`  ${usage.padEnd(24)} ${description}`);
+        }
+        console.log('  Anything else is evaluated in the page; end a line inside brackets to continue on the next one');
+        break;
+      default:
+        throw new Error(`Unknown command ${command}. Type .help for the list`);
     }
-    
-    if (outputFile) {
-      const resolvedPath = resolve(outputFile);
-      writeFileSync(resolvedPath, output);
-      this.logger.success(`Output saved to: ${resolvedPath}`);
+  }
+
+  async evaluate(code) {
+    const result = await this.navigator.executeJavaScript(code, this.sessionName);
+    if (result.success) {
+      this.print(result.result);
     } else {
-      console.log(output);
+      this.logger.error(result.error);
+    }
+  }
+
+  // Reset the daemon's idle timer while the prompt is waiting, so an open REPL never loses its session
+  startKeepAlive(idleTimeoutMs) {
+    if (!idleTimeoutMs) {
+      return;
     }
     
-    return output;
+    const interval = Math.max(1000, Math.min(60000, Math.floor(idleTimeoutMs / 2)));
+    this.keepAliveTimer = setInterval(async () => {
+      try {
+        await this.navigator.pingDaemon(this.sessionName);
+      } catch (error) {
+        this.logger.error(`Session '${this.sessionName}' stopped responding: ${error.message}`);
+        this.readline?.close();
+      }
+    }, interval);
+    this.keepAliveTimer.unref();
   }
 
-  async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      this.page = null;
+  async start() {
+    const status = await this.navigator.sendCommand(this.sessionName, 'status');
+    const { currentUrl } = this.navigator.sessionManager.getSession(this.sessionName);
+    const interactive = Boolean(process.stdin.isTTY);
+    
+    this.readline = createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: interactive,
+      history: this.loadHistory(),
+      historySize: this.historySize,
+      prompt: `${this.sessionName}> `
+    });
+    this.readline.on('history', (history) => this.saveHistory(history));
+    this.readline.on('SIGINT', () => {
+      // Ctrl+C drops a pending multi-line input first, like the Node.js REPL
+      if (this.buffer.length > 0) {
+        this.buffer = [];
+        console.log();
+        this.readline.setPrompt(`${this.sessionName}> `);
+        this.readline.prompt();
+      } else {
+        this.readline.close();
+      }
+    });
+    
+    this.startKeepAlive(status.idleTimeoutMs);
+    if (interactive) {
+      this.logger.info(`Connected to session '${this.sessionName}' (${currentUrl || 'no page loaded'}). Type .help for commands, .exit or Ctrl+D to leave`);
     }
-    this.currentUrl = null;
+    this.readline.prompt();
+    
+    try {
+      // Lines are handled one at a time, so piped input runs in order
+      for await (const line of this.readline) {
+        if (this.buffer.length === 0 && line.trim() === '.exit') {
+          break;
+        }
+        
+        if (line.trim() === '.break') {
+          // Nothing to discard is fine too
+          this.buffer = [];
+        } else if (this.buffer.length === 0 && /^\.[a-z]+\b/.test(line.trim())) {
+          try {
+            await this.runCommand(line);
+          } catch (error) {
+            this.logger.error(error.message);
+          }
+        } else {
+          this.buffer.push(line);
+          const code = this.buffer.join('\n');
+          if (await this.isIncomplete(code)) {
+            this.readline.setPrompt('... ');
+            this.readline.prompt();
+            continue;
+          }
+          
+          this.buffer = [];
+          if (code.trim()) {
+            try {
+              await this.evaluate(code);
+            } catch (error) {
+              this.logger.error(error.message);
+            }
+          }
+        }
+        
+        this.readline.setPrompt(`${this.sessionName}> `);
+        this.readline.prompt();
+      }
+    } finally {
+      clearInterval(this.keepAliveTimer);
+      this.readline.close();
+    }
+    
+    return { success: true, sessionName: this.sessionName };
   }
 }
 
-export { WebSourceBrowser };
\ No newline at end of file
+export { WebSourceBrowser, PlaybookRunner, SiteCrawler, DomSnapshots };
\ No newline at end of file